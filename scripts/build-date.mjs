@@ -0,0 +1,8 @@
+/**
+ * The day a build publishes as of (UTC yyyy-mm-dd): entries whose `publishAt` is
+ * later are left out. vite.config.ts defines it as __BUILD_DATE__ for content.ts
+ * and search-index.mjs imports it, so the pages, the prerendered HTML and the
+ * search index all agree. `BUILD_DATE=yyyy-mm-dd` pins it — CI sets it once per
+ * run, so a build straddling midnight still agrees with itself.
+ */
+export const BUILD_DATE = process.env.BUILD_DATE || new Date().toISOString().slice(0, 10)
@@ -1,79 +1,383 @@
 /**
  * Import trip photos into per-trip galleries.
- *   npm run import-trips [sourceDir]     (default: ~/Documents/Pics/favs)
+ *   npm run import-trips [sourceDir] [-- --dry-run]     (default: ~/Documents/Pics/favs)
  *
  * For each <sourceDir>/<trip> folder it:
- *   - auto-orients every photo (bakes EXIF orientation into pixels — fixes
+ *   - auto-orients every new photo (bakes EXIF orientation into pixels — fixes
  *     landscape shots that would otherwise display rotated),
- *   - resizes to max 1800px wide and compresses to public/photos/trips/<trip>,
- *   - records each photo's real aspect ratio,
- *   - writes a gallery entry (src/content/entries/<trip>.md) with no body text.
+ *   - resizes to max 1800px wide and compresses to public/photos/<trip>-NN.jpg,
+ *   - merges them into the gallery entry (src/content/entries/<trip>.md), with
+ *     the title/caption, keywords and star rating written in Lightroom (IPTC or
+ *     XMP, embedded or in an .xmp sidecar next to the original) as each image's
+ *     `caption`, `tags` and `rating`, and the best-rated frame as the cover.
  *
- * Re-runnable: it clears and rebuilds public/photos/trips.
+ * Re-running is safe: an existing entry keeps its frontmatter, body, captions and
+ * image order. Photos are matched to what was imported before by a hash of their
+ * decoded pixels (src/content/imports.json), so renaming or reordering the source
+ * folder, or re-saving metadata into a file, changes nothing (a ledger keyed by
+ * the older whole-file hashes is re-keyed on its next run); new photos are
+ * appended under fresh numbers, and photos
+ * that have left the folder are reported but never deleted. The entry's date (and
+ * `dateEnd`, for a trip spanning several days) comes from the photos' EXIF capture
+ * times, unless it has been edited by hand since the last import.
+ *
+ * --dry-run prints the planned changes and writes nothing.
+ * --min-rating N only imports photos rated at least N stars (rejects never are).
  */
 import sharp from 'sharp'
-import { readdirSync, mkdirSync, rmSync, writeFileSync, existsSync } from 'node:fs'
-import { join, dirname } from 'node:path'
+import exifReader from 'exif-reader'
+import yaml from 'js-yaml'
+import { readdirSync, readFileSync, mkdirSync, rmSync, writeFileSync, existsSync } from 'node:fs'
+import { join, dirname, extname } from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { execSync } from 'node:child_process'
+import { createHash } from 'node:crypto'
 import { tmpdir } from 'node:os'
 
 const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
-const SRC = process.argv[2] || join(process.env.HOME, 'Documents', 'Pics', 'favs')
+const args = process.argv.slice(2)
+const flag = (name) => {
+  const i = args.findIndex((a) => a === name || a.startsWith(`${name}=`))
+  if (i < 0) return undefined
+  return args[i].includes('=') ? args[i].split('=')[1] : args.splice(i + 1, 1)[0]
+}
+const MIN_RATING = Number(flag('--min-rating') ?? 0)
+const DRY = args.includes('--dry-run')
+const SRC = args.find((a) => !a.startsWith('--')) || join(process.env.HOME, 'Documents', 'Pics', 'favs')
 const PHOTOS_OUT = join(ROOT, 'public', 'photos') // flat — filenames are prefixed with the trip
 const ENTRIES = join(ROOT, 'src', 'content', 'entries')
+const LEDGER = join(ROOT, 'src', 'content', 'imports.json')
 const MAX_W = 1800
-const DATE = '2026-07-14'
+// what the first version of this script stamped on every entry — never a real date
+const LEGACY_DATE = '2026-07-14'
 const NAMES = { kohtao: 'Koh Tao', southkorea: 'South Korea' }
 const pretty = (t) => NAMES[t] ?? t.charAt(0).toUpperCase() + t.slice(1)
 const isImage = (f) => /\.(jpe?g|png|heic)$/i.test(f)
+const pad = (n) => String(n).padStart(2, '0')
 
+if (!Number.isFinite(MIN_RATING)) {
+  console.error('--min-rating expects a number of stars (0–5)')
+  process.exit(1)
+}
 if (!existsSync(SRC)) {
   console.error(`Source not found: ${SRC}`)
   process.exit(1)
 }
 
-// .rotate() auto-orients from EXIF, baking rotation into pixels. Some HEICs
-// exceed sharp/libheif's reference-count security limit, so fall back to sips.
-async function encode(srcPath, outPath) {
-  const run = (input) =>
-    sharp(input).rotate().resize({ width: MAX_W, withoutEnlargement: true }).jpeg({ quality: 78, mozjpeg: true }).toFile(outPath)
+// Some HEICs exceed sharp/libheif's reference-count security limit, so fall back
+// to a JPEG copy made by sips.
+async function withSips(srcPath, run) {
   try {
     return await run(srcPath)
   } catch {
     const tmp = join(tmpdir(), `import-${process.pid}-${Math.floor(Math.random() * 1e9)}.jpg`)
     execSync(`sips -s format jpeg ${JSON.stringify(srcPath)} --out ${JSON.stringify(tmp)}`, { stdio: 'ignore' })
-    const info = await run(tmp)
+    const out = await run(tmp)
     rmSync(tmp, { force: true })
-    return info
+    return out
+  }
+}
+
+// .rotate() auto-orients from EXIF, baking rotation into pixels.
+const encode = (srcPath, outPath) =>
+  withSips(srcPath, (input) =>
+    sharp(input).rotate().resize({ width: MAX_W, withoutEnlargement: true }).jpeg({ quality: 78, mozjpeg: true }).toFile(outPath),
+  )
+
+// What the ledger knows a photo by: its decoded pixels, so saving a caption,
+// keywords or a rating into the file from Lightroom leaves it the same photo.
+const pixelHash = (srcPath) =>
+  withSips(srcPath, async (input) => createHash('sha1').update(await sharp(input).raw().toBuffer()).digest('hex'))
+// ...where the first version hashed the whole file, metadata and all
+const fileHash = (buf) => createHash('sha1').update(buf).digest('hex')
+
+/** Capture day (yyyy-mm-dd, camera local time) from EXIF, or null. */
+function takenOn(exif) {
+  try {
+    const t = exif && exifReader(exif).Photo?.DateTimeOriginal
+    // exif-reader reads the camera's wall-clock time as UTC — which keeps the local day
+    return t instanceof Date && !isNaN(t) ? t.toISOString().slice(0, 10) : null
+  } catch {
+    return null
+  }
+}
+
+// ---- Lightroom metadata: XMP (sidecar or embedded), then IPTC-IIM ----
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+const xmlText = (s) =>
+  s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) =>
+    e[0] === '#' ? String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1))) : ENTITIES[e] ?? m,
+  ).trim()
+
+/** dc:title / dc:description / dc:subject / xmp:Rating out of an XMP packet. */
+function parseXmp(xml) {
+  const items = (tag) => {
+    const m = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml)
+    return m ? [...m[1].matchAll(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g)].map((x) => xmlText(x[1])).filter(Boolean) : []
+  }
+  // Lightroom writes the rating as an attribute; other tools as an element
+  const rating = /xmp:Rating(?:=["']|>)\s*(-?\d+)/.exec(xml)
+  return {
+    title: items('dc:title')[0],
+    caption: items('dc:description')[0],
+    keywords: items('dc:subject'),
+    rating: rating ? Number(rating[1]) : undefined,
+  }
+}
+
+/** Object name (2:05), keywords (2:25) and caption (2:120) from raw IPTC-IIM records. */
+function parseIptc(buf) {
+  const out = { keywords: [] }
+  for (let i = 0; i + 5 <= buf.length; i++) {
+    if (buf[i] !== 0x1c || buf[i + 1] !== 0x02) continue
+    const set = buf[i + 2]
+    const len = buf.readUInt16BE(i + 3)
+    const value = buf.subarray(i + 5, i + 5 + len).toString('utf8').trim()
+    if (set === 5) out.title = value
+    else if (set === 120) out.caption = value
+    else if (set === 25 && value) out.keywords.push(value)
+    i += 4 + len
+  }
+  return out
+}
+
+/** Capture day plus whatever was catalogued: { day, caption, tags, rating }. */
+async function readSource(path, buf) {
+  const meta = await sharp(buf).metadata().catch(() => ({}))
+  const base = path.slice(0, -extname(path).length)
+  const sidecar = [`${base}.xmp`, `${path}.xmp`].find((p) => existsSync(p))
+  // first non-empty value wins: the sidecar (Lightroom's latest), embedded XMP, IPTC
+  const layers = [
+    sidecar && parseXmp(readFileSync(sidecar, 'utf8')),
+    meta.xmp && parseXmp(meta.xmp.toString('utf8')),
+    meta.iptc && parseIptc(meta.iptc),
+  ].filter(Boolean)
+  const pick = (key) => layers.map((l) => l[key]).find((v) => (Array.isArray(v) ? v.length : v !== undefined && v !== ''))
+  const tags = [...new Set(pick('keywords') ?? [])]
+  return {
+    day: takenOn(meta.exif),
+    caption: pick('caption') ?? pick('title'),
+    tags: tags.length ? tags : undefined,
+    rating: pick('rating'),
   }
 }
 
-mkdirSync(PHOTOS_OUT, { recursive: true })
+// ---- the entry file, edited line by line so hand formatting and the body survive ----
+
+function splitEntry(raw) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw)
+  if (!m) return null
+  return { lines: m[1].split(/\r?\n/), body: m[2], data: yaml.load(m[1]) ?? {} }
+}
+
+const topKey = (line) => /^([A-Za-z]\w*):/.exec(line)?.[1]
+
+/** Set (or with `value` undefined, remove) a top-level scalar, after `after` when new. */
+function setScalar(lines, key, value, after, diff) {
+  const i = lines.findIndex((l) => topKey(l) === key)
+  const line = `${key}: ${value}`
+  if (i >= 0 && value === undefined) {
+    diff.push(`- ${lines[i]}`)
+    lines.splice(i, 1)
+  } else if (i >= 0 && lines[i] !== line) {
+    diff.push(`- ${lines[i]}`, `+ ${line}`)
+    lines[i] = line
+  } else if (i < 0 && value !== undefined) {
+    const j = lines.findIndex((l) => topKey(l) === after)
+    diff.push(`+ ${line}`)
+    lines.splice(j >= 0 ? j + 1 : lines.length, 0, line)
+  }
+}
+
+// one flow-style list item; JSON strings and arrays are valid YAML
+const imageLine = (im) =>
+  `  - { ${[
+    `src: ${im.src}`,
+    im.ratio && `ratio: "${im.ratio}"`,
+    im.caption && `caption: ${JSON.stringify(im.caption)}`,
+    im.tags?.length && `tags: ${JSON.stringify(im.tags)}`,
+    im.rating > 0 && `rating: ${im.rating}`,
+  ].filter(Boolean).join(', ')} }`
+
+/** Append list items to the end of the top-level `images:` block (creating it if needed). */
+function appendImages(lines, items, diff) {
+  if (!items.length) return
+  const add = items.map(imageLine)
+  let i = lines.findIndex((l) => topKey(l) === 'images')
+  if (i < 0 || /^images:\s*\[\s*\]\s*$/.test(lines[i])) {
+    if (i >= 0) lines.splice(i, 1)
+    i = lines.length
+    lines.push('images:')
+    diff.push('+ images:')
+  }
+  let end = i + 1
+  while (end < lines.length && (lines[end].startsWith(' ') || lines[end].startsWith('-') || !lines[end].trim())) end++
+  lines.splice(end, 0, ...add)
+  diff.push(...add.map((l) => `+ ${l}`))
+}
+
+// ---- run ----
+
+const ledger = existsSync(LEDGER) ? JSON.parse(readFileSync(LEDGER, 'utf8')) : {}
+if (!DRY) mkdirSync(PHOTOS_OUT, { recursive: true })
 
 const trips = readdirSync(SRC, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name).sort()
+let touched = 0
 
 for (const trip of trips) {
   const files = readdirSync(join(SRC, trip)).filter(isImage).sort()
   if (!files.length) continue
-  // clear this trip's existing flat files (handles a shrunk photo count) without touching others
-  for (const f of readdirSync(PHOTOS_OUT)) {
-    if (f.startsWith(`${trip}-`) && /\.jpg$/i.test(f)) rmSync(join(PHOTOS_OUT, f), { force: true })
+
+  const entryPath = join(ENTRIES, `${trip}.md`)
+  const existing = existsSync(entryPath) ? splitEntry(readFileSync(entryPath, 'utf8')) : null
+  if (existsSync(entryPath) && !existing) {
+    console.warn(`! ${trip}.md has no frontmatter block — skipped`)
+    continue
   }
+  const record = ledger[trip] ?? { hashes: 'pixels', photos: {} }
+  const inEntry = new Set((existing?.data.images ?? []).map((im) => im?.src))
 
-  const images = []
-  let n = 1
+  const sources = []
   for (const f of files) {
-    const outName = `${trip}-${String(n).padStart(2, '0')}.jpg`
-    const info = await encode(join(SRC, trip, f), join(PHOTOS_OUT, outName))
-    images.push({ src: `/photos/${outName}`, ratio: `${info.width}/${info.height}` })
-    n++
+    const path = join(SRC, trip, f)
+    const buf = readFileSync(path)
+    const s = { file: f, hash: await pixelHash(path), ...(await readSource(path, buf)) }
+    // a ledger written before pixel hashes: move each photo still here to its new key
+    const old = record.hashes !== 'pixels' && fileHash(buf)
+    if (old && record.photos[old]) {
+      record.photos[s.hash] = record.photos[old]
+      delete record.photos[old]
+    }
+    sources.push(s)
+  }
+  record.hashes = 'pixels'
+
+  // First merge into an entry made by the old overwrite-everything import: its
+  // photos were numbered in filename order, so pair them up that way once.
+  if (existing && !ledger[trip]) {
+    sources.forEach((s, i) => {
+      const src = `/photos/${trip}-${pad(i + 1)}.jpg`
+      if (inEntry.has(src)) record.photos[s.hash] = src
+    })
+  }
+
+  const taken = new Set(Object.values(record.photos))
+  const numbers = [...inEntry, ...taken, ...readdirSync(PHOTOS_OUT).map((f) => `/photos/${f}`)]
+    .map((src) => new RegExp(`^/photos/${trip}-(\\d+)\\.jpg$`).exec(src ?? '')?.[1])
+    .filter(Boolean)
+    .map(Number)
+  let next = Math.max(0, ...numbers) + 1
+
+  // a rejected frame (-1) never makes it in; below the threshold only new photos are held back
+  const wanted = (s) => (s.rating ?? 0) >= 0 && (s.rating ?? 0) >= MIN_RATING
+  const skipped = sources.filter((s) => !record.photos[s.hash] && !wanted(s))
+
+  const added = []
+  const restored = []
+  for (const s of sources) {
+    const known = record.photos[s.hash]
+    if (!known && !wanted(s)) continue
+    // still on disk, or taken out of the gallery by hand since — leave it be
+    if (known && (existsSync(join(ROOT, 'public', known)) || (existing && !inEntry.has(known)))) continue
+    const src = known ?? `/photos/${trip}-${pad(next++)}.jpg`
+    const info = DRY ? await sharp(join(SRC, trip, s.file)).metadata().catch(() => ({})) : await encode(join(SRC, trip, s.file), join(ROOT, 'public', src))
+    // orientations 5–8 are stored on their side (the dry run hasn't rotated anything)
+    const [w, h] = DRY && (info.orientation ?? 1) >= 5 ? [info.height, info.width] : [info.width, info.height]
+    const ratio = w && h ? `${Math.min(w, MAX_W)}/${Math.round(h * (Math.min(w, MAX_W) / w))}` : '3/4'
+    record.photos[s.hash] = src
+    ;(known ? restored : added).push({ src, ratio, file: s.file, caption: s.caption, tags: s.tags, rating: s.rating })
   }
 
-  const title = pretty(trip)
-  const imgLines = images.map((im) => `  - { src: ${im.src}, ratio: "${im.ratio}" }`).join('\n')
-  const md = `---\ntitle: ${title}\nslug: ${trip}\ndate: ${DATE}\ntype: creative\ntemplate: gallery\nfeatured: false\ncover: ${images[0].src}\nimages:\n${imgLines}\n---\n`
-  writeFileSync(join(ENTRIES, `${trip}.md`), md)
-  console.log(`${trip}.md — ${images.length} photos`)
+  const present = new Set(sources.map((s) => s.hash))
+  const removed = Object.entries(record.photos).filter(([hash, src]) => !present.has(hash) && inEntry.has(src)).map(([, src]) => src)
+
+  // trip dates from EXIF; hand-edited dates win
+  const days = sources.filter((s) => record.photos[s.hash]).map((s) => s.day).filter(Boolean).sort()
+  const first = days[0]
+  const last = days[days.length - 1]
+  const diff = []
+  let lines
+  // remember only dates this script chose, so a later hand edit is never overwritten
+  const derive = () => Object.assign(record, { date: first, dateEnd: last !== first ? last : undefined })
+
+  // the best-rated frame (earliest in the gallery on a tie), else the first
+  const ratingOf = new Map(sources.map((s) => [record.photos[s.hash], s.rating ?? 0]))
+  const bestOf = (srcs) => srcs.reduce((best, src) => ((ratingOf.get(src) ?? 0) > (ratingOf.get(best) ?? 0) ? src : best), srcs[0])
+
+  if (!existing) {
+    if (!added.length) {
+      console.log(`  ${trip} — nothing rated ${MIN_RATING}★ or more, no entry written`)
+      continue
+    }
+    const images = added.map(({ file, ...im }) => im)
+    record.cover = bestOf(images.map((im) => im.src))
+    lines = [`title: ${pretty(trip)}`, `slug: ${trip}`, `date: ${first ?? new Date().toISOString().slice(0, 10)}`]
+    if (last && last !== first) lines.push(`dateEnd: ${last}`)
+    if (first) derive()
+    lines.push('type: creative', 'template: gallery', `cover: ${record.cover}`)
+    appendImages(lines, images, [])
+    diff.push(...lines.map((l) => `+ ${l}`))
+  } else {
+    lines = [...existing.lines]
+    const { data } = existing
+    const iso = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : v ? String(v) : undefined)
+    const untouched = (key) => !data[key] || iso(data[key]) === record[key] || (key === 'date' && iso(data[key]) === LEGACY_DATE)
+    if (first && untouched('date') && untouched('dateEnd')) {
+      setScalar(lines, 'date', first, 'slug', diff)
+      setScalar(lines, 'dateEnd', last !== first ? last : undefined, 'date', diff)
+      derive()
+    }
+
+    // catalogue metadata for images imported bare (by hand or an earlier import);
+    // anything already captioned, tagged or rated here is left as edited
+    for (const s of sources) {
+      const src = record.photos[s.hash]
+      const im = (data.images ?? []).find((x) => x?.src === src)
+      if (!im || im.caption || im.tags || im.rating || !(s.caption || s.tags || s.rating > 0)) continue
+      const i = lines.findIndex((l) => l.trimStart().startsWith(`- { src: ${src},`) || l.trimStart() === `- { src: ${src} }`)
+      if (i < 0) continue
+      const line = imageLine({ ...im, caption: s.caption, tags: s.tags, rating: s.rating })
+      diff.push(`- ${lines[i]}`, `+ ${line}`)
+      lines[i] = line
+    }
+
+    appendImages(lines, added.filter((im) => !inEntry.has(im.src)).map(({ file, ...im }) => im), diff)
+
+    // a cover this script picked (or the old import's images[0]) follows the ratings
+    const srcs = [...(data.images ?? []).map((im) => im?.src), ...added.map((im) => im.src)].filter(Boolean)
+    const auto = !data.cover || data.cover === record.cover || (!ledger[trip] && data.cover === srcs[0])
+    if (auto && srcs.length) {
+      record.cover = bestOf(srcs)
+      setScalar(lines, 'cover', record.cover, 'template', diff)
+    }
+  }
+
+  ledger[trip] = record
+
+  const summary = [
+    existing ? '' : 'new entry',
+    added.length && `${added.length} new photo(s)`,
+    restored.length && `${restored.length} re-encoded`,
+    removed.length && `${removed.length} no longer in the source folder`,
+    skipped.length && (MIN_RATING > 0 ? `${skipped.length} below ${MIN_RATING}★ skipped` : `${skipped.length} rejected`),
+  ].filter(Boolean).join(', ')
+  if (!diff.length && !restored.length && !removed.length) {
+    console.log(`  ${trip}.md — up to date (${sources.length} photos)`)
+    continue
+  }
+  touched++
+  console.log(`\n${trip}.md — ${summary || 'updated'}`)
+  for (const im of [...added, ...restored]) console.log(`    ${im.file} → public${im.src}  ${im.ratio}`)
+  for (const l of diff) console.log(`    ${l}`)
+  for (const src of removed) console.log(`    ? ${src} — still in the gallery; remove it from the entry (and public/photos) if that's intended`)
+
+  if (!DRY) writeFileSync(entryPath, `---\n${lines.join('\n')}\n---\n${existing?.body ?? ''}`)
+}
+
+if (DRY) {
+  console.log(`\n(dry run — nothing written; ${touched} entr${touched === 1 ? 'y' : 'ies'} would change)`)
+} else {
+  writeFileSync(LEDGER, JSON.stringify(ledger, null, 2) + '\n')
+  console.log(`\n✓ Trips merged (${touched} entr${touched === 1 ? 'y' : 'ies'} changed). Run \`npm run photos\` for thumbnails and variants.`)
 }
-console.log('\n✓ Trips imported (auto-oriented, resized, gallery entries written).')
@@ -0,0 +1,87 @@
+/**
+ * npm test — runs import-trips.mjs against a throwaway copy of the site in the
+ * system temp folder, with photos made by sharp, so the real content is never touched.
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import yaml from 'js-yaml'
+import { copyFileSync, mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { execFileSync } from 'node:child_process'
+import { createHash } from 'node:crypto'
+import { tmpdir } from 'node:os'
+
+const REPO = join(dirname(fileURLToPath(import.meta.url)), '..')
+const TRIP = 'lisbon'
+
+/** A bare site (the script, node_modules, empty content) and a source folder with one trip. */
+function site(t) {
+  const root = mkdtempSync(join(tmpdir(), 'import-trips-'))
+  t.after(() => rmSync(root, { recursive: true, force: true }))
+  for (const dir of ['scripts', 'src/content/entries', 'public/photos', `favs/${TRIP}`]) mkdirSync(join(root, dir), { recursive: true })
+  copyFileSync(join(REPO, 'scripts', 'import-trips.mjs'), join(root, 'scripts', 'import-trips.mjs'))
+  symlinkSync(join(REPO, 'node_modules'), join(root, 'node_modules'))
+  return {
+    photo: (f) => join(root, 'favs', TRIP, f),
+    ledger: join(root, 'src', 'content', 'imports.json'),
+    run: () => execFileSync(process.execPath, [join(root, 'scripts', 'import-trips.mjs'), join(root, 'favs')], { encoding: 'utf8' }),
+    images: () => yaml.load(/^---\n([\s\S]*?)\n---/.exec(readFileSync(join(root, 'src', 'content', 'entries', `${TRIP}.md`), 'utf8'))[1]).images,
+  }
+}
+
+const jpeg = (r, g, b) => sharp({ create: { width: 64, height: 48, channels: 3, background: { r, g, b } } }).jpeg().toBuffer()
+const srcs = (images) => images.map((im) => im.src)
+
+test('a ledger keyed by whole-file hashes is re-keyed, not imported again', async (t) => {
+  const s = site(t)
+  writeFileSync(s.photo('a.jpg'), await jpeg(200, 80, 40))
+  writeFileSync(s.photo('b.jpg'), await jpeg(40, 80, 200))
+  s.run()
+  const before = s.images()
+
+  // what the first version of the ledger looked like
+  const fileHash = (f) => createHash('sha1').update(readFileSync(s.photo(f))).digest('hex')
+  const legacy = { [TRIP]: { photos: { [fileHash('a.jpg')]: before[0].src, [fileHash('b.jpg')]: before[1].src } } }
+  writeFileSync(s.ledger, JSON.stringify(legacy))
+
+  assert.match(s.run(), /up to date/)
+  assert.deepEqual(srcs(s.images()), srcs(before))
+  const record = JSON.parse(readFileSync(s.ledger, 'utf8'))[TRIP]
+  assert.equal(record.hashes, 'pixels')
+  assert.deepEqual(Object.values(record.photos).sort(), srcs(before))
+  assert.ok(!(fileHash('a.jpg') in record.photos))
+})
+
+// "Save Metadata to File" in Lightroom: the same picture data, with an XMP packet added
+function withXmp(buf, { caption, keywords, rating }) {
+  const xmp = Buffer.from(
+    'http://ns.adobe.com/xap/1.0/\0' +
+      `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">` +
+      `<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:Rating="${rating}">` +
+      `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${caption}</rdf:li></rdf:Alt></dc:description>` +
+      `<dc:subject><rdf:Bag>${keywords.map((k) => `<rdf:li>${k}</rdf:li>`).join('')}</rdf:Bag></dc:subject>` +
+      `</rdf:Description></rdf:RDF></x:xmpmeta>`,
+  )
+  const app1 = Buffer.from([0xff, 0xe1, (xmp.length + 2) >> 8, (xmp.length + 2) & 0xff])
+  return Buffer.concat([buf.subarray(0, 2), app1, xmp, buf.subarray(2)]) // straight after SOI
+}
+
+test('re-saving a photo with its metadata fills in that frame, not a new one', async (t) => {
+  const s = site(t)
+  writeFileSync(s.photo('a.jpg'), await jpeg(200, 80, 40))
+  writeFileSync(s.photo('b.jpg'), await jpeg(40, 80, 200))
+  s.run()
+  const before = s.images()
+  assert.equal(before[1].caption, undefined)
+
+  writeFileSync(s.photo('b.jpg'), withXmp(readFileSync(s.photo('b.jpg')), { caption: 'Tram 28 at dusk', keywords: ['trams', 'alfama'], rating: 4 }))
+  const out = s.run()
+
+  assert.doesNotMatch(out, /new photo|no longer in the source folder/)
+  const after = s.images()
+  assert.deepEqual(srcs(after), srcs(before))
+  assert.deepEqual(after[1], { ...before[1], caption: 'Tram 28 at dusk', tags: ['trams', 'alfama'], rating: 4 })
+  assert.deepEqual(after[0], before[0])
+})
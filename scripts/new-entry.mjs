@@ -1,19 +1,28 @@
 /**
  * Scaffold a new content entry with correct frontmatter.
- *   npm run new-entry
+ *   npm run new-entry                                   (asks for what it needs)
+ *   npm run new-entry -- --title "Koh Tao" --template gallery --images ~/Pics/kohtao \
+ *     [--excerpt "…"] [--location "Thailand"] [--date 2024-05-25] [--tags diving,islands]
+ *
+ * Any flag left out is asked for interactively — title and template are required,
+ * so without a terminal they must be passed. `--images <dir>` copies every photo
+ * in the folder to public/photos/<slug>-NN.jpg (auto-oriented, max 1800px wide)
+ * and fills in `cover` and `images` with their real ratios; without it the entry
+ * gets REPLACE placeholders as before.
  */
+import sharp from 'sharp'
 import { createInterface } from 'node:readline/promises'
-import { writeFileSync, existsSync } from 'node:fs'
-import { join, dirname } from 'node:path'
+import { readdirSync, writeFileSync, existsSync, statSync, rmSync } from 'node:fs'
+import { join, dirname, resolve } from 'node:path'
 import { fileURLToPath } from 'node:url'
+import { execSync } from 'node:child_process'
+import { tmpdir } from 'node:os'
 
-const DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'content', 'entries')
-
-if (!process.stdin.isTTY) {
-  console.error('Run this in an interactive terminal:  npm run new-entry')
-  process.exit(1)
-}
-const rl = createInterface({ input: process.stdin, output: process.stdout })
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+const DIR = join(ROOT, 'src', 'content', 'entries')
+const PHOTOS = join(ROOT, 'public', 'photos')
+const MAX_W = 1800
+const isImage = (f) => /\.(jpe?g|png|heic|webp|tiff?)$/i.test(f)
 
 const slugify = (s) =>
   s.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
@@ -25,23 +34,47 @@ const TEMPLATES = {
   4: { type: 'writing', template: 'article', label: 'Article' },
   5: { type: 'tool', template: 'tool', label: 'Tool case-study' },
 }
+// --template takes the menu number or the template's name
+const templateOf = (v) => TEMPLATES[v] ?? Object.values(TEMPLATES).find((t) => t.template === v)
+
+/** `--name value` / `--name=value` → { name: value }; a bare flag is `true`. */
+function parseFlags(argv) {
+  const out = {}
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i])
+    if (!m) continue
+    out[m[1]] = m[2] ?? (argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true)
+  }
+  return out
+}
+
+function fail(msg) {
+  console.error(`✗ ${msg}`)
+  process.exit(1)
+}
+
+// plain when YAML would read it back as the same string, quoted otherwise
+const yamlStr = (s) => (/^[A-Za-z][\w ,.'’&()/-]*$/.test(s) && !/^(true|false|yes|no|on|off|null)$/i.test(s) ? s : JSON.stringify(s))
 
 function frontmatter(d) {
   const lines = [
     '---',
-    `title: ${d.title}`,
+    `title: ${yamlStr(d.title)}`,
     `slug: ${d.slug}`,
     `date: ${d.date}`,
     `type: ${d.type}`,
     `template: ${d.template}`,
     'featured: false',
     'draft: true',
-    `excerpt: ${d.excerpt || 'One-line standfirst.'}`,
+    `excerpt: ${d.excerpt ? yamlStr(d.excerpt) : 'One-line standfirst.'}`,
   ]
-  if (d.type === 'creative') lines.push('location: ')
-  lines.push('cover: /photos/REPLACE.jpg')
+  if (d.location) lines.push(`location: ${yamlStr(d.location)}`)
+  else if (d.type === 'creative') lines.push('location: ')
+  if (d.tags.length) lines.push(`tags: [${d.tags.map(yamlStr).join(', ')}]`)
+  lines.push(`cover: ${d.images[0]?.src ?? '/photos/REPLACE.jpg'}`)
   if (d.template === 'photo-essay' || d.template === 'gallery') {
-    lines.push('images:', '  - { src: /photos/REPLACE.jpg, caption: "" }')
+    if (d.images.length) lines.push('images:', ...d.images.map((im) => `  - { src: ${im.src}, ratio: "${im.ratio}" }`))
+    else lines.push('images:', '  - { src: /photos/REPLACE.jpg, caption: "" }')
   }
   if (d.template === 'video') lines.push('video: https://media.harrystanyer.com/REPLACE.mp4')
   if (d.template === 'tool') {
@@ -51,21 +84,77 @@ function frontmatter(d) {
   return lines.join('\n')
 }
 
+// .rotate() auto-orients from EXIF, baking rotation into pixels. Some HEICs
+// exceed sharp/libheif's reference-count security limit, so fall back to sips.
+async function encode(srcPath, outPath) {
+  const run = (input) =>
+    sharp(input).rotate().resize({ width: MAX_W, withoutEnlargement: true }).jpeg({ quality: 78, mozjpeg: true }).toFile(outPath)
+  try {
+    return await run(srcPath)
+  } catch {
+    const tmp = join(tmpdir(), `new-entry-${process.pid}-${Math.floor(Math.random() * 1e9)}.jpg`)
+    execSync(`sips -s format jpeg ${JSON.stringify(srcPath)} --out ${JSON.stringify(tmp)}`, { stdio: 'ignore' })
+    const info = await run(tmp)
+    rmSync(tmp, { force: true })
+    return info
+  }
+}
+
+const flags = parseFlags(process.argv.slice(2))
 const today = new Date().toISOString().slice(0, 10)
 
-const title = await rl.question('Title: ')
-console.log('\nTemplate:\n' + Object.entries(TEMPLATES).map(([k, v]) => `  ${k}) ${v.label}`).join('\n'))
-const choice = await rl.question('Choose 1-5: ')
-const pick = TEMPLATES[choice.trim()]
-if (!pick) { console.error('Invalid choice.'); rl.close(); process.exit(1) }
-const excerpt = await rl.question('Excerpt (optional): ')
-rl.close()
+if (flags.template !== undefined && !templateOf(String(flags.template))) {
+  fail(`--template must be 1-5 or one of ${Object.values(TEMPLATES).map((t) => t.template).join(', ')}`)
+}
+if (flags.date !== undefined && !(/^\d{4}-\d{2}-\d{2}$/.test(flags.date) && !isNaN(Date.parse(flags.date)))) {
+  fail(`--date expects yyyy-mm-dd, got "${flags.date}"`)
+}
+const imagesDir = typeof flags.images === 'string' ? resolve(flags.images.replace(/^~(?=\/)/, process.env.HOME)) : undefined
+if (flags.images !== undefined && !(imagesDir && existsSync(imagesDir) && statSync(imagesDir).isDirectory())) {
+  fail(`--images expects a folder of photos, got "${flags.images}"`)
+}
+
+// Fall back to the prompts for whatever wasn't passed.
+let title = typeof flags.title === 'string' ? flags.title.trim() : ''
+let pick = flags.template !== undefined ? templateOf(String(flags.template)) : undefined
+let excerpt = typeof flags.excerpt === 'string' ? flags.excerpt.trim() : undefined
+if (!title || !pick) {
+  if (!process.stdin.isTTY) {
+    fail('Pass --title and --template, or run this in an interactive terminal:  npm run new-entry')
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout })
+  if (!title) title = (await rl.question('Title: ')).trim()
+  if (!pick) {
+    console.log('\nTemplate:\n' + Object.entries(TEMPLATES).map(([k, v]) => `  ${k}) ${v.label}`).join('\n'))
+    pick = templateOf((await rl.question('Choose 1-5: ')).trim())
+    if (!pick) { rl.close(); fail('Invalid choice.') }
+  }
+  if (excerpt === undefined) excerpt = (await rl.question('Excerpt (optional): ')).trim()
+  rl.close()
+}
 
 const slug = slugify(title)
+if (!slug) fail('The title needs at least one letter or number.')
 const file = join(DIR, `${slug}.md`)
-if (existsSync(file)) { console.error(`\n✗ ${slug}.md already exists.`); process.exit(1) }
+if (existsSync(file)) fail(`${slug}.md already exists.`)
+
+const images = []
+if (imagesDir) {
+  const files = readdirSync(imagesDir).filter(isImage).sort()
+  if (!files.length) fail(`No photos in ${imagesDir}`)
+  const outs = files.map((_, i) => `${slug}-${String(i + 1).padStart(2, '0')}.jpg`)
+  const clash = outs.find((f) => existsSync(join(PHOTOS, f)))
+  if (clash) fail(`public/photos/${clash} already exists — pick another title.`)
+  for (const [i, f] of files.entries()) {
+    const info = await encode(join(imagesDir, f), join(PHOTOS, outs[i]))
+    images.push({ src: `/photos/${outs[i]}`, ratio: `${info.width}/${info.height}` })
+    console.log(`  ${f} → public/photos/${outs[i]}  ${info.width}/${info.height}`)
+  }
+}
 
-writeFileSync(file, frontmatter({ title, slug, date: today, excerpt, ...pick }))
-console.log(`\n✓ Created src/content/entries/${slug}.md  (${pick.label})`)
-console.log('  It is marked draft:true — flip to false when ready to publish.')
-console.log('  Add images to public/photos and run `npm run optimize`.')
+const tags = typeof flags.tags === 'string' ? flags.tags.split(',').map((t) => t.trim()).filter(Boolean) : []
+const location = typeof flags.location === 'string' ? flags.location.trim() : ''
+writeFileSync(file, frontmatter({ title, slug, date: flags.date ?? today, excerpt, location, tags, images, ...pick }))
+console.log(`\n✓ Created src/content/entries/${slug}.md  (${pick.label}${images.length ? `, ${images.length} photos` : ''})`)
+console.log('  It is marked draft:true — `npm run dev` shows it with a Draft ribbon; flip to false when ready to publish.')
+console.log(images.length ? '  Run `npm run photos` for thumbnails and variants.' : '  Add images to public/photos and run `npm run photos`.')
@@ -0,0 +1,317 @@
+/**
+ * The whole photo pipeline, in one pass over public/photos:
+ *
+ *   1. optimise — resize/recompress oversized originals in place
+ *   2. thumbs   — 480px JPEGs mirrored into public/photos/thumbs/** for the wall
+ *   3. variants — the AVIF / WebP / JPEG width ladder in public/photos/variants/**
+ *   4. manifests, all written together:
+ *        src/lib/photo-ratios.json        real "W/H" of every photo
+ *        src/lib/photo-exif.json          capture data (GPS dropped for `hideGps` entries)
+ *        src/lib/photo-placeholders.json  dominant colour + 16px blur-up preview
+ *        src/lib/photo-variants.json      which variants actually exist
+ *
+ *   npm run photos [-- --force]   (also run by build and the pre-commit hook)
+ *
+ * Every file's content hash is kept in .cache/photos.json along with everything
+ * the manifests need from it, so an unchanged photo is never opened again — only
+ * new or edited files go through sharp, a few at a time. Thumbnails and variants
+ * whose source has gone are deleted. `--force` ignores the cache.
+ *
+ * Variants, their manifest and the cache are git-ignored (the variants would be
+ * hundreds of MB); CI restores them from its cache and fills in whatever changed.
+ */
+import sharp from 'sharp'
+import exifReader from 'exif-reader'
+import yaml from 'js-yaml'
+import { createHash } from 'node:crypto'
+import { availableParallelism } from 'node:os'
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, statSync, existsSync, rmSync, rmdirSync } from 'node:fs'
+import { join, dirname, extname, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+const DIR = join(ROOT, 'public', 'photos')
+const THUMBS = join(DIR, 'thumbs')
+const VARIANTS = join(DIR, 'variants')
+const ENTRIES_DIR = join(ROOT, 'src', 'content', 'entries')
+const LIB = join(ROOT, 'src', 'lib')
+const CACHE = join(ROOT, '.cache', 'photos.json')
+const JOBS = Math.max(1, availableParallelism())
+const FORCE = process.argv.includes('--force')
+
+// optimise
+const MAX_W = 1800
+const MAX_BYTES = 800 * 1024
+// thumbs
+const THUMB_W = 480
+// variants: nothing wider than the source — the source itself tops the ladder
+const WIDTHS = [480, 768, 1080, 1600]
+// per format: encoder options; AVIF at a lower nominal quality looks like JPEG ~80
+const FORMATS = {
+  avif: (p) => p.avif({ quality: 50, effort: 4 }),
+  webp: (p) => p.webp({ quality: 74 }),
+  jpg: (p) => p.jpeg({ quality: 76, mozjpeg: true }),
+}
+// placeholders
+const LQIP_W = 16
+
+// Changing any output setting invalidates every cached record.
+const SETTINGS = JSON.stringify({ v: 1, MAX_W, MAX_BYTES, THUMB_W, WIDTHS, FORMATS: Object.keys(FORMATS), LQIP_W })
+
+const kb = (n) => `${Math.round(n / 1024)}KB`
+const round = (n, dp) => Math.round(n * 10 ** dp) / 10 ** dp
+const hashOf = (buf) => createHash('sha1').update(buf).digest('hex')
+
+// recursively collect image files (incl. trip subfolders), skipping our own outputs
+function walk(dir, skip = new Set()) {
+  const out = []
+  for (const e of readdirSync(dir, { withFileTypes: true })) {
+    if (e.name.startsWith('.') || skip.has(e.name)) continue
+    const p = join(dir, e.name)
+    if (e.isDirectory()) out.push(...walk(p, skip))
+    else out.push(p)
+  }
+  return out
+}
+
+const isImage = (f) => ['.jpg', '.jpeg', '.png'].includes(extname(f).toLowerCase())
+const thumbPath = (rel) => join(THUMBS, rel).replace(/\.(png|jpeg)$/i, '.jpg')
+const variantPath = (rel, w, fmt) => join(VARIANTS, `${rel.replace(/\.[^.]+$/, '')}-${w}.${fmt}`)
+// tool screenshots are only optimised; they never appear on the wall
+const isPhoto = (rel) => !rel.startsWith('tools/')
+
+// ---- per-file stages ----
+
+/**
+ * Only touch images that are over-wide, or JPEGs that are huge. Once an image is
+ * ≤ MAX_W it's left alone, so re-runs never recompress (which would slowly degrade
+ * quality). PNG cutouts (alpha) are only ever resized, never palette-quantised.
+ * Returns the new bytes, or null when the file was already within budget.
+ */
+async function optimise(file, buf) {
+  const isPng = extname(file).toLowerCase() === '.png'
+  const { width = 0 } = await sharp(buf).metadata()
+  if (!(width > MAX_W || (!isPng && buf.length > MAX_BYTES * 3))) return null
+  // .rotate() bakes EXIF orientation into pixels so landscape shots don't display rotated;
+  // .keepExif() carries the rest (camera, exposure, GPS) over for the EXIF manifest
+  const pipeline = sharp(buf).rotate().keepExif().resize({ width: MAX_W, withoutEnlargement: true })
+  const out = isPng
+    ? await pipeline.png({ compressionLevel: 9, effort: 8 }).toBuffer()
+    : await pipeline.jpeg({ quality: 78, mozjpeg: true }).toBuffer()
+  writeFileSync(file, out)
+  return out
+}
+
+// An output newer than its source survives a lost cache (e.g. a fresh clone).
+const fresh = (out, mtime) => existsSync(out) && statSync(out).mtimeMs >= mtime
+
+// [deg, min, sec] + N/S/E/W → signed decimal degrees
+const dms = (v, ref) => (Array.isArray(v) ? (v[0] + v[1] / 60 + v[2] / 3600) * (ref === 'S' || ref === 'W' ? -1 : 1) : undefined)
+const shutter = (t) => (t >= 1 ? `${round(t, 1)}s` : `1/${Math.round(1 / t)}s`)
+
+/** The subset of EXIF the site shows, or null when there's nothing useful. */
+function readExif(buf) {
+  let d
+  try {
+    d = exifReader(buf)
+  } catch {
+    return null
+  }
+  const img = d.Image ?? {}
+  const ph = d.Photo ?? {}
+  const gps = d.GPSInfo ?? {}
+  const make = String(img.Make ?? '').trim()
+  const model = String(img.Model ?? '').trim()
+  const taken = ph.DateTimeOriginal instanceof Date && !isNaN(ph.DateTimeOriginal) ? ph.DateTimeOriginal : null
+  const lat = dms(gps.GPSLatitude, gps.GPSLatitudeRef)
+  const lng = dms(gps.GPSLongitude, gps.GPSLongitudeRef)
+  const out = {
+    // exif-reader reads the camera's wall-clock time as UTC — keep it as local time
+    taken: taken ? taken.toISOString().slice(0, 19) : undefined,
+    camera: model ? (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim()) : undefined,
+    lens: ph.LensModel ? String(ph.LensModel).trim() || undefined : undefined,
+    focal: ph.FocalLength ? round(ph.FocalLength, 1) : undefined,
+    aperture: ph.FNumber ? round(ph.FNumber, 1) : undefined,
+    shutter: ph.ExposureTime ? shutter(ph.ExposureTime) : undefined,
+    iso: ph.ISOSpeedRatings ? Number([].concat(ph.ISOSpeedRatings)[0]) : undefined,
+    gps: lat !== undefined && lng !== undefined ? [round(lat, 5), round(lng, 5)] : undefined,
+  }
+  return Object.values(out).some((v) => v !== undefined) ? out : null
+}
+
+const hex = ({ r, g, b }) => '#' + [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')
+
+/** Dominant colour + tiny blurred preview; the browser's upscaling does the rest of the blur. */
+async function placeholder(buf) {
+  const { dominant } = await sharp(buf).stats()
+  const tiny = await sharp(buf).rotate().resize({ width: LQIP_W }).webp({ quality: 40 }).toBuffer()
+  return { color: hex(dominant), lqip: `data:image/webp;base64,${tiny.toString('base64')}` }
+}
+
+/** Run one changed file through every stage; the record the cache and manifests keep for it. */
+async function processFile(file, rel, buf, log) {
+  const optimised = await optimise(file, buf)
+  if (optimised) {
+    log.push(`optimised ${kb(buf.length)} → ${kb(optimised.length)}`)
+    buf = optimised
+  }
+  const mtime = statSync(file).mtimeMs
+  const meta = await sharp(buf).metadata()
+  // orientations 5–8 are stored on their side
+  const [w, h] = (meta.orientation ?? 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height]
+  const record = { hash: hashOf(buf), w, h, exif: null, placeholder: null, variants: {} }
+  if (!isPhoto(rel)) return record
+
+  record.exif = meta.exif ? readExif(meta.exif) : null
+  record.placeholder = await placeholder(buf)
+
+  const thumb = thumbPath(rel)
+  if (!fresh(thumb, mtime)) {
+    mkdirSync(dirname(thumb), { recursive: true })
+    await sharp(buf).rotate().resize({ width: THUMB_W, withoutEnlargement: true }).jpeg({ quality: 70, mozjpeg: true }).toFile(thumb)
+    log.push('thumb')
+  }
+
+  // PNG cutouts keep their transparency, so they're served as-is
+  if (extname(rel).toLowerCase() === '.png') return record
+  let made = 0
+  for (const vw of WIDTHS.filter((x) => x < w)) {
+    for (const [fmt, encode] of Object.entries(FORMATS)) {
+      const out = variantPath(rel, vw, fmt)
+      if (!fresh(out, mtime)) {
+        try {
+          mkdirSync(dirname(out), { recursive: true })
+          await encode(sharp(buf).rotate().resize({ width: vw })).toFile(out)
+          made++
+        } catch (err) {
+          console.warn(`  ! ${rel} @${vw} ${fmt}: ${err.message}`)
+          // leave it out of the manifest, and have the next run try again
+          record.hash = null
+          continue
+        }
+      }
+      ;(record.variants[fmt] ??= []).push(vw)
+    }
+  }
+  if (made) log.push(`${made} variant(s)`)
+  return record
+}
+
+/** Every file a record says exists on disk — if one's missing, the record is stale. */
+function outputsOf(rel, record) {
+  if (!isPhoto(rel)) return []
+  const out = [thumbPath(rel)]
+  for (const [fmt, ws] of Object.entries(record.variants)) for (const w of ws) out.push(variantPath(rel, w, fmt))
+  return out
+}
+
+// ---- run ----
+
+function loadCache() {
+  if (FORCE || !existsSync(CACHE)) return {}
+  try {
+    const c = JSON.parse(readFileSync(CACHE, 'utf8'))
+    return c.settings === SETTINGS ? c.files : {}
+  } catch {
+    return {}
+  }
+}
+
+const cached = loadCache()
+const records = {}
+// saved after every processed file, so an interrupted run keeps its progress
+const saveCache = () => {
+  mkdirSync(dirname(CACHE), { recursive: true })
+  writeFileSync(CACHE, JSON.stringify({ settings: SETTINGS, files: { ...cached, ...records } }) + '\n')
+}
+
+const files = walk(DIR, new Set(['thumbs', 'variants'])).filter(isImage)
+const stats = { changed: 0, unchanged: 0, failed: 0 }
+const queue = files.map((file) => ({ file, rel: relative(DIR, file).split('\\').join('/') }))
+
+async function worker() {
+  for (let job = queue.shift(); job; job = queue.shift()) {
+    const { file, rel } = job
+    const buf = readFileSync(file)
+    const prev = cached[rel]
+    if (prev?.hash && prev.hash === hashOf(buf) && outputsOf(rel, prev).every((p) => existsSync(p))) {
+      records[rel] = prev
+      stats.unchanged++
+      continue
+    }
+    const log = []
+    try {
+      records[rel] = await processFile(file, rel, buf, log)
+      stats.changed++
+      console.log(`  ${prev ? '~' : '+'} ${rel}${log.length ? `  (${log.join(', ')})` : ''}`)
+    } catch (err) {
+      console.warn(`  ! ${rel}: ${err.message}`)
+      stats.failed++
+      // keep serving what it had; retried next run
+      if (prev) records[rel] = { ...prev, hash: null }
+    }
+    saveCache()
+  }
+}
+await Promise.all(Array.from({ length: Math.min(JOBS, queue.length || 1) }, worker))
+
+function removeEmptyDirs(dir) {
+  for (const e of readdirSync(dir, { withFileTypes: true })) if (e.isDirectory()) removeEmptyDirs(join(dir, e.name))
+  if (dir !== THUMBS && dir !== VARIANTS && readdirSync(dir).length === 0) rmdirSync(dir)
+}
+
+// anything derived from a photo that no longer exists
+const keep = new Set(Object.entries(records).flatMap(([rel, r]) => outputsOf(rel, r)))
+let pruned = 0
+for (const root of [THUMBS, VARIANTS]) {
+  if (!existsSync(root)) continue
+  for (const f of walk(root)) {
+    if (keep.has(f)) continue
+    rmSync(f)
+    pruned++
+  }
+  removeEmptyDirs(root)
+}
+const removed = Object.keys(cached).filter((rel) => !records[rel]).length
+
+// photos (cover + images) of entries that opted out of showing their location
+function gpsHidden() {
+  const hidden = new Set()
+  for (const f of readdirSync(ENTRIES_DIR).filter((f) => f.endsWith('.md'))) {
+    const m = /^---\r?\n([\s\S]*?)\r?\n---/.exec(readFileSync(join(ENTRIES_DIR, f), 'utf8'))
+    const data = m ? yaml.load(m[1]) ?? {} : {}
+    if (!data.hideGps) continue
+    if (data.cover) hidden.add(data.cover)
+    for (const im of data.images ?? []) if (im?.src) hidden.add(im.src)
+  }
+  return hidden
+}
+
+const hidden = gpsHidden()
+const ratios = {}
+const exif = {}
+const placeholders = {}
+const variants = {}
+for (const rel of Object.keys(records).sort()) {
+  const r = records[rel]
+  const src = '/photos/' + rel
+  if (!isPhoto(rel)) continue
+  if (r.w && r.h) ratios[src] = `${r.w}/${r.h}`
+  if (r.exif) exif[src] = hidden.has(src) ? { ...r.exif, gps: undefined } : r.exif
+  if (r.placeholder) placeholders[src] = r.placeholder
+  if (Object.keys(r.variants).length) variants[src] = r.variants
+}
+// the EXIF of a hidden photo may have been GPS and nothing else
+for (const src of Object.keys(exif)) if (!Object.values(exif[src]).some((v) => v !== undefined)) delete exif[src]
+
+const manifests = { 'photo-ratios.json': ratios, 'photo-exif.json': exif, 'photo-placeholders.json': placeholders, 'photo-variants.json': variants }
+for (const [name, data] of Object.entries(manifests)) writeFileSync(join(LIB, name), JSON.stringify(data) + '\n')
+// drop removed photos from the cache too
+writeFileSync(CACHE, JSON.stringify({ settings: SETTINGS, files: records }) + '\n')
+
+console.log(
+  `✓ Photos: ${stats.changed} processed, ${stats.unchanged} unchanged` +
+    `${stats.failed ? `, ${stats.failed} failed` : ''}${removed ? `, ${removed} removed` : ''}` +
+    `${pruned ? `, ${pruned} orphaned thumbnail/variant file(s) pruned` : ''}`,
+)
+console.log(`  ${Object.entries(manifests).map(([name, data]) => `${name} (${Object.keys(data).length})`).join(', ')}`)
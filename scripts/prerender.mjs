@@ -1,69 +1,181 @@
 /**
  * Lightweight prerenderer.
  *
- * The site is a client-rendered SPA, but crawlers and social-card scrapers read
- * static HTML. This writes a per-route `index.html` into `dist/` with the correct
- * <title>, meta description and Open Graph tags injected into the built shell, so
- * every URL is individually indexable and shareable. The SPA still hydrates and
- * renders the body on load.
+ * Crawlers, social-card scrapers, no-JS readers and slow phones all see the
+ * static HTML first. This writes a per-route `index.html` into `dist/` with the
+ * page body rendered from the real App tree (the SSR bundle built from
+ * src/entry-server.tsx into dist-ssr/), plus the correct <title>, meta
+ * description and Open Graph tags injected into the built shell, so every URL is
+ * individually indexable and shareable. main.tsx hydrates that markup on load.
  *
- * No headless browser required — metadata is derived directly from the content
- * markdown, which keeps CI fast and deterministic.
+ * Every photo on the wall gets its own page too — /photos/japan/07, plus
+ * /japan/07 (the lightbox) when it's from a gallery — whose card is that photo,
+ * so a shared link previews the frame itself. Those stay out of the sitemap and
+ * point their canonical at the gallery frame, or the wall's for a photo essay.
+ *
+ * Each film's page also carries schema.org `VideoObject` JSON-LD — title, poster,
+ * upload date, running time, the file itself and its chapters as `Clip`s that
+ * link to `?t=` — so search engines can list it as a video with key moments.
+ *
+ * It also writes the subscription feeds — RSS 2.0 (/feed.xml), Atom (/atom.xml)
+ * and JSON Feed (/feed.json), site-wide and per section — and links them from
+ * every page's <head>.
+ *
+ * `--preview` (npm run build:preview) marks every page noindex and writes no
+ * sitemap — that build includes drafts and entries whose `publishAt` is still
+ * to come, and is for sharing privately, not for crawlers.
+ *
+ * No headless browser required — metadata comes from the same parsed content the
+ * app renders (ENTRIES, exported by the SSR bundle), which keeps CI fast and
+ * deterministic.
  */
-import { readFileSync, writeFileSync, mkdirSync, readdirSync } from 'node:fs'
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs'
 import { join, dirname } from 'node:path'
-import { fileURLToPath } from 'node:url'
-import yaml from 'js-yaml'
+import { fileURLToPath, pathToFileURL } from 'node:url'
 
 const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
 const DIST = join(ROOT, 'dist')
-const ENTRIES_DIR = join(ROOT, 'src', 'content', 'entries')
+const SSR_ENTRY = join(ROOT, 'dist-ssr', 'entry-server.js')
 const ORIGIN = 'https://harrystanyer.com'
 const SITE = 'Harry Stanyer'
+const PREVIEW = process.argv.includes('--preview')
 
 const template = readFileSync(join(DIST, 'index.html'), 'utf8')
+// Published entries (plus drafts and scheduled ones in a preview build), newest first, with their rendered HTML bodies.
+const { render: renderApp, ENTRIES: entries, ALL_PHOTOS: wallPhotos, allTags, allSeries } = await import(pathToFileURL(SSR_ENTRY).href)
+const tags = allTags()
 
-function frontmatter(raw) {
-  const m = /^---\r?\n([\s\S]*?)\r?\n---/.exec(raw)
-  return m ? yaml.load(m[1]) ?? {} : {}
-}
-
-// Collect entry metadata straight from the markdown sources.
-const entries = readdirSync(ENTRIES_DIR)
-  .filter((f) => f.endsWith('.md'))
-  .map((f) => ({ slug: f.replace(/\.md$/, ''), ...frontmatter(readFileSync(join(ENTRIES_DIR, f), 'utf8')) }))
-  .filter((e) => !e.draft)
+// Each section also gets its own feeds, under its index path.
+const SECTIONS = [
+  { type: 'creative', path: '/work', label: 'Work', desc: 'Photographs and films from the road.' },
+  { type: 'tool', path: '/tools', label: 'Tools', desc: 'Software I make between trips — mostly things that run in a browser.' },
+  { type: 'writing', path: '/writing', label: 'Writing', desc: 'Essays and field notes.' },
+]
+const sectionOf = (type) => SECTIONS.find((s) => s.type === type)
 
 const abs = (p) => (p?.startsWith('http') ? p : ORIGIN + (p?.startsWith('/') ? p : '/' + (p ?? '')))
 
+// "1:02:15" → 3735, as parseTime in src/lib/video.ts
+const seconds = (at) => String(at).split(':').reduce((t, n) => t * 60 + Number(n), 0)
+const isoDuration = (sec) => `PT${Math.floor(sec / 3600) ? `${Math.floor(sec / 3600)}H` : ''}${Math.floor((sec % 3600) / 60)}M${sec % 60}S`
+
+/** schema.org VideoObject for a film entry, or undefined if it has no video yet. */
+function videoObject(e) {
+  if (e.template !== 'video' || !e.sources?.length) return undefined
+  // the biggest MP4 plays everywhere; otherwise whatever is biggest
+  const big = [...e.sources].sort((a, b) => (b.type === 'video/mp4') - (a.type === 'video/mp4') || (b.height ?? 0) - (a.height ?? 0))[0]
+  const url = `${ORIGIN}/${e.slug}`
+  const end = e.duration ? seconds(e.duration) : undefined
+  const chapters = (e.chapters ?? []).map((c) => ({ ...c, t: seconds(c.at) })).sort((a, b) => a.t - b.t)
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'VideoObject',
+    name: e.title,
+    description: e.excerpt || `${e.title} — a film by ${SITE}.`,
+    thumbnailUrl: abs(e.poster ?? e.cover ?? '/photos/frame-08.jpg'),
+    uploadDate: e.date,
+    duration: end !== undefined ? isoDuration(end) : undefined,
+    contentUrl: abs(big.src),
+    author: { '@type': 'Person', name: SITE, url: `${ORIGIN}/` },
+    hasPart: chapters.length
+      ? chapters.map((c, i) => ({
+          '@type': 'Clip',
+          name: c.title,
+          startOffset: c.t,
+          endOffset: chapters[i + 1]?.t ?? end,
+          url: `${url}?t=${c.t}`,
+        }))
+      : undefined,
+  }
+}
+
 const routes = [
-  { path: '/work', title: `Work — ${SITE}`, desc: 'Photographs and films from the road.' },
+  { path: '/', title: `${SITE} — Photographer, Engineer`, desc: 'Photographs, films and browser-based tools by Harry Stanyer — engineer and documentary maker.' },
+  { path: '/work', title: `Work — ${SITE}`, desc: 'Photographs and films from the road.', section: sectionOf('creative') },
   { path: '/photos', title: `Photographs — ${SITE}`, desc: 'Every photograph, in one endless wall.' },
-  { path: '/tools', title: `Tools — ${SITE}`, desc: 'Software I make between trips — mostly things that run in a browser.' },
+  { path: '/map', title: `Map — ${SITE}`, desc: 'Every trip on one map, joined up in the order they happened.' },
+  { path: '/writing', title: `Writing — ${SITE}`, desc: 'Essays and field notes.', section: sectionOf('writing') },
+  { path: '/tools', title: `Tools — ${SITE}`, desc: 'Software I make between trips — mostly things that run in a browser.', section: sectionOf('tool') },
   { path: '/cv', title: `CV — ${SITE}`, desc: 'Curriculum vitae of Harry Stanyer — Technical Lead, engineer and documentary maker.' },
+  { path: '/tags', title: `Tags — ${SITE}`, desc: 'Every subject, place and technique, by tag.' },
+  ...tags.map((t) => ({
+    path: `/tags/${t.slug}`,
+    title: `#${t.tag} — ${SITE}`,
+    desc: `Everything tagged “${t.tag}” — ${t.count} entr${t.count === 1 ? 'y' : 'ies'}.`,
+    image: abs(entries.find((e) => e.cover && e.tags?.includes(t.tag))?.cover ?? '/photos/frame-08.jpg'),
+  })),
+  ...allSeries().map((s) => ({
+    path: `/series/${s.slug}`,
+    title: `${s.name} — ${SITE}`,
+    desc: `${s.name}: ${s.entries.length} parts, ${s.photos} photographs.`,
+    image: abs(s.entries.find((e) => e.cover)?.cover ?? '/photos/frame-08.jpg'),
+  })),
   ...entries.map((e) => ({
     path: `/${e.slug}`,
     title: `${e.title} — ${SITE}`,
     desc: e.excerpt ?? '',
     image: e.cover ? abs(e.cover) : `${ORIGIN}/photos/frame-08.jpg`,
+    section: sectionOf(e.type),
+    ld: videoObject(e),
   })),
 ]
 
+// one card per photo on the wall, under the wall's URL and (galleries only) the lightbox's
+const pad = (n) => String(n).padStart(2, '0')
+const photoRoutes = wallPhotos.flatMap((p) => {
+  const e = entries.find((x) => x.slug === p.slug)
+  const im = e.images[p.frame]
+  const frame = `/${e.slug}/${pad(p.frame + 1)}`
+  const gallery = e.template === 'gallery'
+  const card = {
+    title: `${e.title} · ${pad(p.frame + 1)} / ${pad(e.images.length)} — ${SITE}`,
+    desc: im.caption ?? e.excerpt ?? `Photograph ${p.frame + 1} of ${e.images.length} from ${e.title}.`,
+    image: abs(im.src),
+    canonical: gallery ? frame : `/photos${frame}`,
+    section: sectionOf(e.type),
+  }
+  return [...(gallery ? [{ ...card, path: frame }] : []), { ...card, path: `/photos${frame}` }]
+})
+
 const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
 
+// <link rel="alternate"> tags: the site-wide feeds, plus the section's own
+const FEED_TYPES = [
+  ['application/rss+xml', 'feed.xml'],
+  ['application/atom+xml', 'atom.xml'],
+  ['application/feed+json', 'feed.json'],
+]
+function feedLinks(section) {
+  const sets = [['', SITE], ...(section ? [[section.path, `${SITE} — ${section.label}`]] : [])]
+  return sets
+    .flatMap(([base, title]) =>
+      FEED_TYPES.map(([type, file]) => `<link rel="alternate" type="${type}" title="${esc(title)}" href="${base}/${file}" />`),
+    )
+    .join('\n    ')
+}
+
 function render(route) {
   const image = route.image ?? `${ORIGIN}/photos/frame-08.jpg`
-  const url = ORIGIN + route.path
+  const url = ORIGIN + (route.canonical ?? route.path)
   let html = template
     .replace(/<title>[^<]*<\/title>/, `<title>${esc(route.title)}</title>`)
     .replace(/(<meta name="description" content=")[^"]*(")/, `$1${esc(route.desc)}$2`)
     .replace(/(<meta property="og:title" content=")[^"]*(")/, `$1${esc(route.title)}$2`)
     .replace(/(<meta property="og:description" content=")[^"]*(")/, `$1${esc(route.desc)}$2`)
     .replace(/(<meta property="og:image" content=")[^"]*(")/, `$1${esc(image)}$2`)
+    // function replacer: rendered bodies may contain `$` sequences
+    .replace('<div id="root"></div>', () => `<div id="root">${renderApp(route.path)}</div>`)
   // add canonical + og:url if not present
   if (!html.includes('og:url')) {
     html = html.replace('</title>', `</title>\n    <link rel="canonical" href="${url}" />\n    <meta property="og:url" content="${url}" />`)
   }
+  html = html.replace('</head>', `  ${feedLinks(route.section)}\n  </head>`)
+  if (route.ld) {
+    // `<` escaped so nothing in a title can close the script early
+    const json = JSON.stringify(route.ld).replace(/</g, '\\u003c')
+    html = html.replace('</head>', () => `  <script type="application/ld+json">${json}</script>\n  </head>`)
+  }
+  if (PREVIEW) html = html.replace('</head>', '  <meta name="robots" content="noindex" />\n  </head>')
   const outDir = join(DIST, route.path)
   mkdirSync(outDir, { recursive: true })
   writeFileSync(join(outDir, 'index.html'), html)
@@ -71,14 +183,154 @@ function render(route) {
 }
 
 const written = routes.map(render)
+for (const r of photoRoutes) render(r)
+
+// sitemap.xml — every prerendered route (home included)
+if (!PREVIEW) {
+  const urls = routes.map((r) => r.path)
+  const sitemap =
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    urls.map((u) => `  <url><loc>${ORIGIN}${u}</loc></url>`).join('\n') +
+    `\n</urlset>\n`
+  writeFileSync(join(DIST, 'sitemap.xml'), sitemap)
+}
+
+// ---- feeds: RSS 2.0, Atom and JSON Feed, site-wide and per section ----
+const xml = (s) => esc(s).replace(/>/g, '&gt;')
+const cdata = (s) => `<![CDATA[${String(s).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+// feed readers resolve nothing against the site, so root-relative URLs must go absolute
+const absolutise = (html) => html.replace(/(\s(?:src|href|poster)=")\/(?!\/)/g, `$1${ORIGIN}/`)
+const published = (e) => new Date(`${e.date || '1970-01-01'}T00:00:00Z`)
+const MIME = { '.png': 'image/png', '.svg': 'image/svg+xml', '.webp': 'image/webp', '.avif': 'image/avif' }
+const mime = (p) => MIME[/\.[a-z0-9]+$/i.exec(p)?.[0].toLowerCase()] ?? 'image/jpeg'
+
+/** The full post: cover, rendered body, then every gallery / essay frame. */
+function feedHtml(e) {
+  const parts = []
+  // galleries usually lead with their cover — don't show it twice
+  if (e.cover && !e.images?.some((im) => im.src === e.cover)) {
+    parts.push(`<p><img src="${esc(abs(e.cover))}" alt="${esc(e.title)}" /></p>`)
+  }
+  if (e.html) parts.push(absolutise(e.html))
+  for (const im of e.images ?? []) {
+    const cap = im.caption ? `<figcaption>${xml(im.caption)}</figcaption>` : ''
+    parts.push(`<figure><img src="${esc(abs(im.src))}" alt="${esc(im.caption ?? e.title)}" />${cap}</figure>`)
+  }
+  return parts.join('\n')
+}
+
+function rss(feed) {
+  const items = feed.items.map((e) => {
+    const link = `${ORIGIN}/${e.slug}`
+    return [
+      '    <item>',
+      `      <title>${xml(e.title)}</title>`,
+      `      <link>${link}</link>`,
+      `      <guid isPermaLink="true">${link}</guid>`,
+      `      <pubDate>${published(e).toUTCString()}</pubDate>`,
+      ...(e.tags ?? []).map((t) => `      <category>${xml(t)}</category>`),
+      e.excerpt ? `      <description>${xml(e.excerpt)}</description>` : '',
+      `      <content:encoded>${cdata(feedHtml(e))}</content:encoded>`,
+      e.cover ? `      <media:content url="${esc(abs(e.cover))}" medium="image" type="${mime(e.cover)}" />` : '',
+      '    </item>',
+    ].filter(Boolean).join('\n')
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${xml(feed.title)}</title>`,
+    `    <link>${feed.home}</link>`,
+    `    <description>${xml(feed.desc)}</description>`,
+    '    <language>en-gb</language>',
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${feed.url('feed.xml')}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n')
+}
+
+function atom(feed) {
+  const entries = feed.items.map((e) => {
+    const link = `${ORIGIN}/${e.slug}`
+    return [
+      '  <entry>',
+      `    <title>${xml(e.title)}</title>`,
+      `    <id>${link}</id>`,
+      `    <link href="${link}" />`,
+      `    <published>${published(e).toISOString()}</published>`,
+      `    <updated>${published(e).toISOString()}</updated>`,
+      ...(e.tags ?? []).map((t) => `    <category term="${esc(t)}" />`),
+      e.excerpt ? `    <summary>${xml(e.excerpt)}</summary>` : '',
+      `    <content type="html">${xml(feedHtml(e))}</content>`,
+      e.cover ? `    <link rel="enclosure" href="${esc(abs(e.cover))}" type="${mime(e.cover)}" />` : '',
+      '  </entry>',
+    ].filter(Boolean).join('\n')
+  })
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-gb">',
+    `  <title>${xml(feed.title)}</title>`,
+    `  <subtitle>${xml(feed.desc)}</subtitle>`,
+    `  <id>${feed.home}</id>`,
+    `  <link href="${feed.home}" />`,
+    `  <link href="${feed.url('atom.xml')}" rel="self" type="application/atom+xml" />`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${SITE}</name><uri>${ORIGIN}/</uri></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n')
+}
+
+function jsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.home,
+    feed_url: feed.url('feed.json'),
+    description: feed.desc,
+    language: 'en-GB',
+    authors: [{ name: SITE, url: `${ORIGIN}/` }],
+    items: feed.items.map((e) => ({
+      id: `${ORIGIN}/${e.slug}`,
+      url: `${ORIGIN}/${e.slug}`,
+      title: e.title,
+      summary: e.excerpt || undefined,
+      content_html: feedHtml(e),
+      image: e.cover ? abs(e.cover) : undefined,
+      date_published: published(e).toISOString(),
+      tags: e.tags?.length ? e.tags : undefined,
+    })),
+  }, null, 2) + '\n'
+}
 
-// sitemap.xml — home + every prerendered route
-const urls = ['/', ...routes.map((r) => r.path)]
-const sitemap =
-  `<?xml version="1.0" encoding="UTF-8"?>\n` +
-  `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
-  urls.map((u) => `  <url><loc>${ORIGIN}${u}</loc></url>`).join('\n') +
-  `\n</urlset>\n`
-writeFileSync(join(DIST, 'sitemap.xml'), sitemap)
+function writeFeeds(base, title, desc, items) {
+  const feed = {
+    title,
+    desc,
+    items,
+    home: `${ORIGIN}${base || '/'}`,
+    url: (file) => `${ORIGIN}${base}/${file}`,
+    // newest entry, not "now", so unchanged content gives byte-identical feeds
+    updated: items.length ? published(items[0]) : new Date(0),
+  }
+  const dir = join(DIST, base)
+  mkdirSync(dir, { recursive: true })
+  writeFileSync(join(dir, 'feed.xml'), rss(feed))
+  writeFileSync(join(dir, 'atom.xml'), atom(feed))
+  writeFileSync(join(dir, 'feed.json'), jsonFeed(feed))
+  return `${base}/{feed.xml,atom.xml,feed.json} (${items.length})`
+}
+
+const feeds = [
+  writeFeeds('', SITE, 'Photographs, films and browser-based tools by Harry Stanyer.', entries),
+  ...SECTIONS.map((s) => writeFeeds(s.path, `${SITE} — ${s.label}`, s.desc, entries.filter((e) => e.type === s.type))),
+]
 
-console.log(`Prerendered ${written.length} routes + sitemap:\n  ${written.join('\n  ')}`)
+console.log(`Prerendered ${written.length} routes${PREVIEW ? ' (preview, noindex)' : ' + sitemap'}:\n  ${written.join('\n  ')}`)
+console.log(`Prerendered ${photoRoutes.length} photo pages (${wallPhotos.length} on the wall, galleries' also under their own URL).`)
+console.log(`Feeds:\n  ${feeds.join('\n  ')}`)
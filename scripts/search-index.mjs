@@ -0,0 +1,131 @@
+/**
+ * Write src/lib/search-index.json — what the search palette searches: every
+ * published entry's title, excerpt, location, tags, tech stack and body (as plain
+ * text), plus each captioned gallery photo. Built here so the browser only ever
+ * loads a small flat index, never the markdown.
+ *
+ * Also writes src/lib/related.json — each entry's most alike entries, best
+ * first, for the "Related" row at the end of an entry — so that ranking (every
+ * entry against every other) happens here rather than in each visitor's browser.
+ *   npm run search-index   (also run by build and the pre-commit hook)
+ *
+ * `--preview` (run by build:preview) also takes in drafts and entries scheduled
+ * for later, writing to .cache/*.preview.json so the committed files never pick
+ * them up; vite.config.ts points a preview build at those.
+ */
+import { readdirSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs'
+import { join, dirname, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import yaml from 'js-yaml'
+import { marked } from 'marked'
+import { BUILD_DATE } from './build-date.mjs'
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+const ENTRIES_DIR = join(ROOT, 'src', 'content', 'entries')
+const PREVIEW = process.argv.includes('--preview')
+const out = (name) => (PREVIEW ? join(ROOT, '.cache', `${name}.preview.json`) : join(ROOT, 'src', 'lib', `${name}.json`))
+const OUT = out('search-index')
+const RELATED_OUT = out('related')
+const RELATED_MAX = 5 // EntryEnd shows 3, after dropping the previous / next entries
+const BODY_MAX = 4000 // chars of body text kept per entry
+
+function parse(raw) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw)
+  return m ? { data: yaml.load(m[1]) ?? {}, body: m[2] } : { data: {}, body: raw }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' }
+const plain = (html) =>
+  html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, e) => ENTITIES[e])
+    .replace(/\s+/g, ' ')
+    .trim()
+
+const isoDate = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : v ? String(v) : '')
+const thumbOf = (src) =>
+  src && /^\/photos\/.+\.(jpe?g|png)$/i.test(src) ? src.replace('/photos/', '/photos/thumbs/').replace(/\.(png|jpeg)$/i, '.jpg') : src
+
+const docs = []
+const entries = []
+for (const file of readdirSync(ENTRIES_DIR).filter((f) => f.endsWith('.md')).sort()) {
+  const slug = file.replace(/\.md$/, '')
+  const { data, body } = parse(readFileSync(join(ENTRIES_DIR, file), 'utf8'))
+  // as content.ts: drafts and entries scheduled for a later day aren't published yet
+  if ((data.draft || (data.publishAt && isoDate(data.publishAt) > BUILD_DATE)) && !PREVIEW) continue
+  const title = String(data.title ?? slug)
+  entries.push({ slug, date: isoDate(data.date), tags: data.tags ?? [], location: data.location, tech: data.tech ?? [] })
+  docs.push({
+    kind: 'entry',
+    slug,
+    title,
+    date: isoDate(data.date),
+    template: data.template ?? 'article',
+    thumb: thumbOf(data.cover),
+    excerpt: data.excerpt ? String(data.excerpt) : undefined,
+    location: data.location ? String(data.location) : undefined,
+    tags: data.tags?.length ? data.tags.map(String) : undefined,
+    tech: data.tech?.length ? data.tech.map(String) : undefined,
+    body: plain(marked.parse(body.trim())).slice(0, BODY_MAX) || undefined,
+  })
+  // captioned gallery frames are searchable on their own, and open in the lightbox
+  if (data.template !== 'gallery') continue
+  for (const [i, im] of (data.images ?? []).entries()) {
+    if (!im?.caption && !im?.tags?.length) continue
+    docs.push({
+      kind: 'photo',
+      slug,
+      index: i,
+      title: im.caption ? String(im.caption) : `${title} · ${String(i + 1).padStart(2, '0')}`,
+      entryTitle: title,
+      date: isoDate(data.date),
+      thumb: thumbOf(im.src),
+      location: data.location ? String(data.location) : undefined,
+      tags: im.tags?.length ? im.tags.map(String) : undefined,
+    })
+  }
+}
+
+// ---- related entries ----
+// same as tagSlug in content.ts
+const tagSlug = (s) =>
+  String(s).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+const DAY = 86_400_000
+const place = (loc) => String(loc ?? '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)
+
+/**
+ * How alike two entries are: shared tags count most, then the same place (the
+ * whole location, or just its country — the part after the last comma), shared
+ * tech, and up to 1 for being close in time — which alone ranks entries that
+ * share nothing else.
+ */
+function kinship(a, b) {
+  const tags = new Set(a.tags.map(tagSlug))
+  let score = 3 * new Set(b.tags.map(tagSlug).filter((t) => tags.has(t))).size
+  const [pa, pb] = [place(a.location), place(b.location)]
+  if (pa.length && pb.length) {
+    if (pa.join() === pb.join()) score += 2
+    else if (pa[pa.length - 1] === pb[pb.length - 1]) score += 1
+  }
+  const tech = new Set(a.tech.map((t) => String(t).toLowerCase()))
+  score += 1.5 * b.tech.filter((t) => tech.has(String(t).toLowerCase())).length
+  const days = Math.abs(Date.parse(a.date) - Date.parse(b.date)) / DAY
+  return score + (isNaN(days) ? 0 : 1 / (1 + days / 180))
+}
+
+const related = Object.fromEntries(
+  entries.map((a) => [
+    a.slug,
+    entries
+      .filter((b) => b !== a)
+      .map((b) => ({ b, score: kinship(a, b) }))
+      .sort((x, y) => y.score - x.score || (x.b.date < y.b.date ? 1 : -1))
+      .slice(0, RELATED_MAX)
+      .map((x) => x.b.slug),
+  ]),
+)
+
+mkdirSync(dirname(OUT), { recursive: true })
+writeFileSync(OUT, JSON.stringify(docs) + '\n')
+writeFileSync(RELATED_OUT, JSON.stringify(related) + '\n')
+console.log(`✓ Wrote ${docs.length} search documents to ${relative(ROOT, OUT)}, related entries to ${relative(ROOT, RELATED_OUT)}`)
@@ -0,0 +1,330 @@
+/**
+ * Validate every content entry and the home page before building.
+ *   npm run validate   (also run by build)
+ *
+ * content.ts accepts whatever YAML it's given and quietly fills in defaults, so a
+ * typo'd template or a leftover `REPLACE` placeholder from `npm run new-entry`
+ * would otherwise ship. The allowed keys, value types and unions are read from
+ * src/lib/types.ts and src/lib/home.ts, so the checks stay in step with the app.
+ * Exits non-zero with a per-file report if anything is wrong.
+ */
+import { readFileSync, readdirSync, existsSync } from 'node:fs'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import yaml from 'js-yaml'
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+const ENTRIES_DIR = join(ROOT, 'src', 'content', 'entries')
+const HOME = join(ROOT, 'src', 'content', 'home.json')
+const PUBLIC = join(ROOT, 'public')
+
+// ---- read the shapes straight from the TypeScript sources ----
+const typesSrc = readFileSync(join(ROOT, 'src', 'lib', 'types.ts'), 'utf8')
+const homeSrc = readFileSync(join(ROOT, 'src', 'lib', 'home.ts'), 'utf8')
+
+/** `export type X = 'a' | 'b'` → ['a', 'b'] */
+function union(src, name) {
+  const m = new RegExp(`export type ${name} = ([^\\n]+)`).exec(src)
+  if (!m) throw new Error(`type ${name} not found`)
+  return [...m[1].matchAll(/'([^']+)'/g)].map((x) => x[1])
+}
+
+/** `export interface X { a?: T }` → { a: { type: 'T', optional: true } } */
+function fields(src, name) {
+  const m = new RegExp(`export interface ${name} \\{([\\s\\S]*?)\\n\\}`).exec(src)
+  if (!m) throw new Error(`interface ${name} not found`)
+  const out = {}
+  for (const line of m[1].split('\n')) {
+    const f = /^\s+(\w+)(\?)?:\s*([^/\n]+?)\s*(\/\/.*)?$/.exec(line)
+    if (f) out[f[1]] = { type: f[3], optional: Boolean(f[2]) }
+  }
+  return out
+}
+
+const UNIONS = {
+  EntryType: union(typesSrc, 'EntryType'),
+  Template: union(typesSrc, 'Template'),
+}
+const ENTRY = fields(typesSrc, 'Entry')
+const IMAGE = fields(typesSrc, 'EntryImage')
+const SOURCE = fields(typesSrc, 'VideoSource')
+const TRACK = fields(typesSrc, 'VideoTrack')
+const CHAPTER = fields(typesSrc, 'VideoChapter')
+// `html` is rendered from the body
+delete ENTRY.html
+
+const BLOCK = fields(homeSrc, 'Block')
+const BLOCK_TYPES = [...BLOCK.type.type.matchAll(/'([^']+)'/g)].map((x) => x[1])
+const BLOCK_SOURCES = [...BLOCK.source.type.matchAll(/'([^']+)'/g)].map((x) => x[1])
+const HERO = fields(homeSrc, 'HeroData')
+const IMAGE_REF = fields(homeSrc, 'ImageRef')
+
+// Fields each template can't render without.
+const NEEDS = {
+  'photo-essay': ['images'],
+  gallery: ['images'],
+  video: [['video', 'sources']],
+  article: [],
+  tool: ['launch'],
+}
+
+// ---- value checks ----
+// same as tagSlug in content.ts — series are addressed by it (/series/cycle-asia)
+const slugOf = (s) =>
+  String(s).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+
+// "mm:ss" or "h:mm:ss", as parseTime in src/lib/video.ts reads them
+const TIME = /^(?:\d+:[0-5]\d|\d{1,2}):[0-5]\d$/
+
+const isoDate = (v) =>
+  v instanceof Date ? !isNaN(v.getTime()) : typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v))
+
+/** Does `v` satisfy the TypeScript type text `type`? Returns an error string or null. */
+function checkType(v, type) {
+  if (type === 'string') return typeof v === 'string' ? null : `expected a string, got ${show(v)}`
+  if (type === 'boolean') return typeof v === 'boolean' ? null : `expected true/false, got ${show(v)}`
+  if (type === 'number') return typeof v === 'number' ? null : `expected a number, got ${show(v)}`
+  if (type === 'string[]') {
+    return Array.isArray(v) && v.every((x) => typeof x === 'string') ? null : `expected a list of strings, got ${show(v)}`
+  }
+  if (UNIONS[type]) return UNIONS[type].includes(v) ? null : `must be one of ${UNIONS[type].join(', ')} (got ${show(v)})`
+  if (type.endsWith('[]')) return Array.isArray(v) ? null : `expected a list, got ${show(v)}`
+  return null
+}
+
+const show = (v) => (v === null ? 'null' : Array.isArray(v) ? 'a list' : typeof v === 'object' ? 'an object' : JSON.stringify(v))
+
+/** Every string anywhere inside `v`, with a dotted path for the report. */
+function* strings(v, path = '') {
+  if (typeof v === 'string') yield [path, v]
+  else if (Array.isArray(v)) for (const [i, x] of v.entries()) yield* strings(x, `${path}[${i}]`)
+  else if (v && typeof v === 'object' && !(v instanceof Date)) {
+    for (const [k, x] of Object.entries(v)) yield* strings(x, path ? `${path}.${k}` : k)
+  }
+}
+
+/** Local `/photos/…` references must exist on disk; remote URLs are trusted. */
+function checkPhoto(src, where, problems) {
+  if (typeof src !== 'string' || !src) return
+  if (/^https?:\/\//.test(src)) return
+  if (!src.startsWith('/photos/')) problems.push(`${where}: "${src}" should be a /photos/… path or a full URL`)
+  else if (!existsSync(join(PUBLIC, decodeURI(src)))) problems.push(`${where}: public${src} does not exist`)
+}
+
+function unknownKeys(obj, known, where, problems) {
+  for (const k of Object.keys(obj)) {
+    if (!(k in known)) problems.push(`${where}unknown key \`${k}\``)
+  }
+}
+
+// ---- entries ----
+function frontmatter(raw) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw)
+  if (!m) return null
+  return { data: yaml.load(m[1]) ?? {}, body: m[2] }
+}
+
+function validateEntry(file) {
+  const problems = []
+  const slug = file.replace(/\.md$/, '')
+  let parsed
+  try {
+    parsed = frontmatter(readFileSync(join(ENTRIES_DIR, file), 'utf8'))
+  } catch (err) {
+    return { problems: [`YAML does not parse: ${err.message.split('\n')[0]}`], warnings: [] }
+  }
+  if (!parsed) return { problems: ['missing `---` frontmatter block'], warnings: [] }
+  const { data } = parsed
+  if (typeof data !== 'object' || Array.isArray(data)) return { problems: ['frontmatter is not a key/value map'], warnings: [] }
+
+  unknownKeys(data, ENTRY, '', problems)
+
+  for (const [key, { type, optional }] of Object.entries(ENTRY)) {
+    const v = data[key]
+    if (v === undefined || v === null) {
+      // slug comes from the filename, so it may be omitted
+      if (!optional && key !== 'slug') problems.push(`missing required \`${key}\``)
+      continue
+    }
+    if (key === 'date' || key === 'dateEnd' || key === 'publishAt') {
+      if (!isoDate(v)) problems.push(`${key}: expected yyyy-mm-dd, got ${show(v)}`)
+      continue
+    }
+    const err = checkType(v, type)
+    if (err) problems.push(`${key}: ${err}`)
+  }
+
+  const day = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : String(v))
+  if (isoDate(data.date) && isoDate(data.dateEnd) && day(data.dateEnd) < day(data.date)) {
+    problems.push(`dateEnd: ${day(data.dateEnd)} is before date ${day(data.date)}`)
+  }
+
+  if (Array.isArray(data.coords)) {
+    const [lat, lng] = data.coords
+    if (data.coords.length !== 2 || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+      problems.push(`coords: expected [lat, lng] in degrees, got ${JSON.stringify(data.coords)}`)
+    }
+  }
+
+  if (data.part !== undefined && data.part !== null) {
+    if (!(Number.isInteger(data.part) && data.part >= 1)) problems.push(`part: expected a whole number from 1, got ${show(data.part)}`)
+    if (!data.series) problems.push('part: only means something with a `series`')
+  }
+
+  if (data.slug !== undefined && data.slug !== slug) {
+    problems.push(`slug: "${data.slug}" doesn't match the filename — the page is served at /${slug}`)
+  }
+
+  // a list of keys means any one of them will do
+  for (const need of NEEDS[data.template] ?? []) {
+    const keys = [need].flat()
+    const has = (key) => data[key] && !(Array.isArray(data[key]) && data[key].length === 0)
+    if (!keys.some(has)) problems.push(`template "${data.template}" needs ${keys.map((k) => `\`${k}\``).join(' or ')}`)
+  }
+
+  if (Array.isArray(data.images)) {
+    data.images.forEach((im, i) => {
+      const where = `images[${i}]`
+      if (!im || typeof im !== 'object') { problems.push(`${where}: expected { src, caption?, ratio?, tags?, rating? }`); return }
+      unknownKeys(im, IMAGE, `${where}: `, problems)
+      if (typeof im.src !== 'string' || !im.src) problems.push(`${where}: missing \`src\``)
+      if (im.ratio !== undefined && !/^\d+(\.\d+)?\/\d+(\.\d+)?$/.test(String(im.ratio))) {
+        problems.push(`${where}: ratio should look like "3/4", got ${show(im.ratio)}`)
+      }
+      for (const key of ['caption', 'tags', 'rating']) {
+        const err = im[key] !== undefined && im[key] !== null && checkType(im[key], IMAGE[key].type)
+        if (err) problems.push(`${where}: ${key}: ${err}`)
+      }
+      if (typeof im.rating === 'number' && !(Number.isInteger(im.rating) && im.rating >= 1 && im.rating <= 5)) {
+        problems.push(`${where}: rating should be 1–5 stars, got ${im.rating}`)
+      }
+    })
+  }
+
+  for (const key of ['duration', 'posterAt']) {
+    if (data[key] !== undefined && data[key] !== null && !TIME.test(String(data[key]))) {
+      problems.push(`${key}: expected "mm:ss" or "h:mm:ss", got ${show(data[key])}`)
+    }
+  }
+  const items = (key, shape, check) => {
+    if (!Array.isArray(data[key])) return
+    data[key].forEach((x, i) => {
+      const where = `${key}[${i}]`
+      if (!x || typeof x !== 'object') { problems.push(`${where}: expected { ${Object.keys(shape).join(', ')} }`); return }
+      unknownKeys(x, shape, `${where}: `, problems)
+      for (const [k, { type, optional }] of Object.entries(shape)) {
+        if (x[k] === undefined || x[k] === null) { if (!optional) problems.push(`${where}: missing \`${k}\``); continue }
+        const err = checkType(x[k], type)
+        if (err) problems.push(`${where}: ${k}: ${err}`)
+      }
+      check(x, where)
+    })
+  }
+  items('sources', SOURCE, (s, where) => {
+    if (s.height !== undefined && !(Number.isInteger(s.height) && s.height > 0)) problems.push(`${where}: height should be a whole number of pixels, got ${show(s.height)}`)
+  })
+  items('tracks', TRACK, (t, where) => {
+    if (typeof t.src === 'string' && !/\.vtt(\?.*)?$/i.test(t.src)) problems.push(`${where}: src should be a WebVTT (.vtt) file, got "${t.src}"`)
+    else if (typeof t.src === 'string' && t.src.startsWith('/') && !existsSync(join(PUBLIC, decodeURI(t.src)))) problems.push(`${where}: public${t.src} does not exist`)
+    if (typeof t.lang === 'string' && !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(t.lang)) problems.push(`${where}: lang should be a language code like en or pt-BR, got "${t.lang}"`)
+    if (t.kind !== undefined && !['captions', 'subtitles'].includes(t.kind)) problems.push(`${where}: kind must be captions or subtitles, got ${show(t.kind)}`)
+  })
+  if (Array.isArray(data.tracks) && data.tracks.filter((t) => t?.default).length > 1) problems.push('tracks: only one can be `default`')
+  items('chapters', CHAPTER, (c, where) => {
+    if (c.at !== undefined && !TIME.test(String(c.at))) problems.push(`${where}: at: expected "mm:ss" or "h:mm:ss", got ${show(c.at)}`)
+  })
+
+  // Placeholders and missing files only matter once an entry is published —
+  // a fresh `npm run new-entry` draft is expected to have them.
+  const live = []
+  for (const [path, s] of strings(data)) {
+    if (s.includes('REPLACE')) live.push(`${path}: still has the placeholder "${s}"`)
+  }
+  checkPhoto(data.cover, 'cover', live)
+  checkPhoto(data.poster, 'poster', live)
+  if (Array.isArray(data.images)) data.images.forEach((im, i) => checkPhoto(im?.src, `images[${i}].src`, live))
+
+  if (data.draft) return { problems, warnings: live }
+  const series = typeof data.series === 'string' && slugOf(data.series) ? { slug: slugOf(data.series), part: data.part } : undefined
+  return { problems: [...problems, ...live], warnings: [], series }
+}
+
+// ---- home.json ----
+function validateHome(series) {
+  const problems = []
+  let home
+  try {
+    home = JSON.parse(readFileSync(HOME, 'utf8'))
+  } catch (err) {
+    return [`JSON does not parse: ${err.message}`]
+  }
+
+  const hero = home.hero
+  if (!hero || typeof hero !== 'object') problems.push('missing `hero`')
+  else {
+    unknownKeys(hero, HERO, 'hero: ', problems)
+    for (const [key, { optional }] of Object.entries(HERO)) {
+      if (!optional && typeof hero[key] !== 'string') problems.push(`hero: missing \`${key}\``)
+    }
+    checkPhoto(hero.image, 'hero.image', problems)
+  }
+
+  if (!Array.isArray(home.blocks)) problems.push('`blocks` should be a list')
+  else {
+    home.blocks.forEach((b, i) => {
+      const where = `blocks[${i}]${b?.type ? ` (${b.type})` : ''}`
+      if (!b || typeof b !== 'object') { problems.push(`${where}: expected an object`); return }
+      if (!BLOCK_TYPES.includes(b.type)) problems.push(`${where}: type must be one of ${BLOCK_TYPES.join(', ')}`)
+      unknownKeys(b, BLOCK, `${where}: `, problems)
+      if (b.source !== undefined && !BLOCK_SOURCES.includes(b.source)) {
+        problems.push(`${where}: source must be one of ${BLOCK_SOURCES.join(', ')} (got ${show(b.source)})`)
+      }
+      if (b.source === 'series' && !series.has(slugOf(b.series ?? ''))) {
+        problems.push(`${where}: series ${show(b.series)} isn't one any published entry belongs to${series.size ? ` (${[...series.keys()].join(', ')})` : ''}`)
+      }
+      checkPhoto(b.image, `${where}.image`, problems)
+      const refs = [...(Array.isArray(b.images) ? b.images : []), b.left, b.right].filter(Boolean)
+      for (const [j, ref] of refs.entries()) {
+        unknownKeys(ref, IMAGE_REF, `${where} image ${j + 1}: `, problems)
+        checkPhoto(ref.src, `${where} image ${j + 1}`, problems)
+      }
+    })
+  }
+
+  for (const [path, s] of strings(home)) {
+    if (s.includes('REPLACE')) problems.push(`${path}: still has the placeholder "${s}"`)
+  }
+  return problems
+}
+
+// ---- report ----
+const report = []
+let warned = 0
+const files = readdirSync(ENTRIES_DIR).filter((f) => f.endsWith('.md')).sort()
+const series = new Map() // slug → { part → file }
+for (const file of files) {
+  const { problems, warnings, series: s } = validateEntry(file)
+  if (s) {
+    const parts = series.get(s.slug) ?? new Map()
+    if (s.part !== undefined && parts.has(s.part)) {
+      problems.push(`part: ${s.part} of series "${s.slug}" is also ${parts.get(s.part)}`)
+    } else if (s.part !== undefined) parts.set(s.part, file)
+    series.set(s.slug, parts)
+  }
+  if (problems.length) report.push([`src/content/entries/${file}`, problems])
+  if (warnings.length) {
+    warned++
+    console.warn(`! src/content/entries/${file} (draft)\n${warnings.map((w) => `    - ${w}`).join('\n')}`)
+  }
+}
+const homeProblems = validateHome(series)
+if (homeProblems.length) report.push(['src/content/home.json', homeProblems])
+
+if (report.length) {
+  console.error(`\n✗ Content has ${report.length} invalid file(s):\n`)
+  for (const [file, problems] of report) {
+    console.error(`  ${file}\n${problems.map((p) => `    - ${p}`).join('\n')}\n`)
+  }
+  process.exit(1)
+}
+console.log(`✓ Validated ${files.length} entries + home.json${warned ? ` (${warned} draft(s) with warnings)` : ''}.`)
@@ -0,0 +1,288 @@
+/**
+ * The film pipeline — `npm run photos` for video. For each source clip in
+ * <sourceDir> (default: videos/, git-ignored like photos/) named after its
+ * entry, e.g. videos/cycle-asia.mov → src/content/entries/cycle-asia.md, a local
+ * ffmpeg makes:
+ *
+ *   media/<slug>/<slug>-<h>.webm|mp4   web renditions, VP9/Opus and H.264/AAC, up the
+ *                                      HEIGHTS ladder to the clip's own height
+ *   media/<slug>/sprite.jpg + .vtt     thumbnail sheet for scrubbing, cue per frame
+ *   media/<slug>/preview.mp4           a few muted seconds to loop, from the poster frame
+ *   public/photos/<slug>-poster.jpg    the poster — taken at the entry's `posterAt`
+ *                                      ("mm:ss"), or a tenth of the way in
+ *
+ * then writes `sources`, `poster`, `duration`, `sprite` and `preview` into the
+ * entry's frontmatter (line by line, so the rest of it and the body survive;
+ * a hand-set `video` URL gives way to `sources`) and every clip's sizes and
+ * running time into src/lib/videos.json.
+ *
+ *   npm run videos [sourceDir] [-- --force] [--dry-run] [--media-url <url>]
+ *
+ * media/ is what gets uploaded to the media host, at MEDIA_URL (--media-url to
+ * change) — renditions are far too big for the repo. The poster goes through
+ * `npm run photos` like any other photo. A clip is re-encoded only when it,
+ * its `posterAt` or the settings below change (.cache/videos.json); `--force`
+ * ignores that. --dry-run prints what would change and runs nothing.
+ */
+import yaml from 'js-yaml'
+import { spawnSync } from 'node:child_process'
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, statSync, existsSync } from 'node:fs'
+import { join, dirname, extname, basename } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+const args = process.argv.slice(2)
+const flag = (name) => {
+  const i = args.findIndex((a) => a === name || a.startsWith(`${name}=`))
+  if (i < 0) return undefined
+  return args[i].includes('=') ? args[i].split('=')[1] : args.splice(i + 1, 1)[0]
+}
+const MEDIA_URL = (flag('--media-url') ?? 'https://media.harrystanyer.com/films').replace(/\/+$/, '')
+const FORCE = args.includes('--force')
+const DRY = args.includes('--dry-run')
+const SRC = args.find((a) => !a.startsWith('--')) || join(ROOT, 'videos')
+const ENTRIES = join(ROOT, 'src', 'content', 'entries')
+const MEDIA = join(ROOT, 'media')
+const PHOTOS = join(ROOT, 'public', 'photos')
+const MANIFEST = join(ROOT, 'src', 'lib', 'videos.json')
+const CACHE = join(ROOT, '.cache', 'videos.json')
+const isClip = (f) => /\.(mov|mp4|m4v|mkv|webm|avi|mts)$/i.test(f)
+
+// renditions: the clip's own height tops the ladder, nothing is upscaled
+const HEIGHTS = [480, 720, 1080]
+const ENCODERS = {
+  mp4: ['-c:v', 'libx264', '-preset', 'slow', '-crf', '23', '-profile:v', 'high', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '33', '-b:v', '0', '-row-mt', '1', '-pix_fmt', 'yuv420p', '-c:a', 'libopus', '-b:a', '96k'],
+}
+const MIME = { mp4: 'video/mp4', webm: 'video/webm' }
+// poster: as wide as `npm run photos` keeps originals
+const POSTER_W = 1800
+// sprite: at most SPRITE_MAX frames, no closer than SPRITE_MIN_GAP seconds apart
+const SPRITE_W = 160
+const SPRITE_COLS = 10
+const SPRITE_MAX = 100
+const SPRITE_MIN_GAP = 2
+// preview loop
+const PREVIEW_S = 6
+const PREVIEW_H = 360
+
+// Changing any output setting re-encodes every clip.
+const SETTINGS = JSON.stringify({ v: 1, HEIGHTS, ENCODERS, POSTER_W, SPRITE_W, SPRITE_COLS, SPRITE_MAX, SPRITE_MIN_GAP, PREVIEW_S, PREVIEW_H })
+
+function fail(msg) {
+  console.error(`✗ ${msg}`)
+  process.exit(1)
+}
+
+/** Run ffmpeg/ffprobe; stdout on success, a readable error otherwise. */
+function run(cmd, argv) {
+  const r = spawnSync(cmd, argv, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 })
+  if (r.error) throw new Error(r.error.code === 'ENOENT' ? `${cmd} not found — install ffmpeg (brew install ffmpeg)` : r.error.message)
+  if (r.status !== 0) throw new Error(`${cmd} failed: ${r.stderr.trim().split('\n').slice(-3).join(' / ')}`)
+  return r.stdout
+}
+const ffmpeg = (...argv) => run('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', ...argv])
+
+// "mm:ss" / "h:mm:ss" ↔ seconds, as src/lib/video.ts
+const seconds = (at) => String(at).split(':').reduce((t, n) => t * 60 + Number(n), 0)
+function formatTime(sec) {
+  const t = Math.round(sec)
+  const h = Math.floor(t / 3600)
+  const mm = Math.floor((t % 3600) / 60)
+  const ss = String(t % 60).padStart(2, '0')
+  return h ? `${h}:${String(mm).padStart(2, '0')}:${ss}` : `${mm}:${ss}`
+}
+// WebVTT cue time, hh:mm:ss.mmm
+const cue = (sec) => new Date(Math.round(sec * 1000)).toISOString().slice(11, 23)
+const mb = (n) => `${(n / 1024 / 1024).toFixed(1)}MB`
+
+/** Duration and display size (phone clips are often stored on their side). */
+function probe(file) {
+  const info = JSON.parse(run('ffprobe', ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file]))
+  const v = info.streams.find((s) => s.codec_type === 'video')
+  if (!v) throw new Error('no video stream')
+  const rotation = Number(v.tags?.rotate ?? v.side_data_list?.find((d) => d.rotation !== undefined)?.rotation ?? 0)
+  const sideways = Math.abs(rotation) % 180 === 90
+  return {
+    duration: Number(info.format.duration),
+    width: sideways ? v.height : v.width,
+    height: sideways ? v.width : v.height,
+    audio: info.streams.some((s) => s.codec_type === 'audio'),
+  }
+}
+
+// ---- the entry file, edited line by line as in import-trips.mjs ----
+
+function splitEntry(raw) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw)
+  if (!m) return null
+  return { lines: m[1].split(/\r?\n/), body: m[2], data: yaml.load(m[1]) ?? {} }
+}
+
+const topKey = (line) => /^([A-Za-z]\w*):/.exec(line)?.[1]
+// a key's line plus any indented (or `- `) lines under it
+function blockOf(lines, key) {
+  const i = lines.findIndex((l) => topKey(l) === key)
+  if (i < 0) return null
+  let end = i + 1
+  while (end < lines.length && (lines[end].startsWith(' ') || lines[end].startsWith('-') || !lines[end].trim())) end++
+  return [i, end]
+}
+
+/** Replace `key` (scalar or list) with `block`, or with none remove it; new keys go after `after`. */
+function setBlock(lines, key, block, after, diff) {
+  const at = blockOf(lines, key)
+  const old = at ? lines.slice(...at) : []
+  if (old.join('\n') === block.join('\n')) return
+  diff.push(...old.map((l) => `- ${l}`), ...block.map((l) => `+ ${l}`))
+  if (at) lines.splice(at[0], at[1] - at[0], ...block)
+  else {
+    const prev = blockOf(lines, after)
+    lines.splice(prev ? prev[1] : lines.length, 0, ...block)
+  }
+}
+
+// ---- per-clip stages ----
+
+function renditions(file, slug, meta, outDir) {
+  // the top rung is the clip's own height (up to the ladder's), rounded down to even for the encoders
+  const top = Math.min(meta.height, HEIGHTS.at(-1))
+  const heights = new Set([...HEIGHTS.filter((h) => h < top), top - (top % 2)])
+  const out = []
+  for (const h of heights) {
+    for (const [fmt, enc] of Object.entries(ENCODERS)) {
+      const name = `${slug}-${h}.${fmt}`
+      ffmpeg('-i', file, '-vf', `scale=-2:${h}`, ...enc, ...(meta.audio ? [] : ['-an']), join(outDir, name))
+      out.push({ src: `${MEDIA_URL}/${slug}/${name}`, type: MIME[fmt], height: h, bytes: statSync(join(outDir, name)).size })
+    }
+  }
+  return out
+}
+
+function poster(file, slug, at) {
+  const name = `${slug}-poster.jpg`
+  ffmpeg('-ss', String(at), '-i', file, '-frames:v', '1', '-vf', `scale='min(${POSTER_W},iw)':-2`, '-q:v', '3', join(PHOTOS, name))
+  return `/photos/${name}`
+}
+
+/** One sheet of thumbnails and the WebVTT that points a cue at each. */
+function sprite(file, slug, meta, outDir) {
+  const gap = Math.max(SPRITE_MIN_GAP, Math.ceil(meta.duration / SPRITE_MAX))
+  const count = Math.max(1, Math.ceil(meta.duration / gap))
+  const rows = Math.ceil(count / SPRITE_COLS)
+  const h = Math.round((SPRITE_W * meta.height) / meta.width / 2) * 2
+  ffmpeg('-i', file, '-vf', `fps=1/${gap},scale=${SPRITE_W}:${h},tile=${SPRITE_COLS}x${rows}`, '-frames:v', '1', '-q:v', '5', join(outDir, 'sprite.jpg'))
+  const cues = Array.from({ length: count }, (_, i) => {
+    const [x, y] = [(i % SPRITE_COLS) * SPRITE_W, Math.floor(i / SPRITE_COLS) * h]
+    return `${cue(i * gap)} --> ${cue(Math.min(meta.duration, (i + 1) * gap))}\nsprite.jpg#xywh=${x},${y},${SPRITE_W},${h}`
+  })
+  writeFileSync(join(outDir, 'sprite.vtt'), `WEBVTT\n\n${cues.join('\n\n')}\n`)
+  return `${MEDIA_URL}/${slug}/sprite.vtt`
+}
+
+function preview(file, slug, meta, at, outDir) {
+  // start early enough that the loop is full length
+  const start = Math.max(0, Math.min(at, meta.duration - PREVIEW_S))
+  ffmpeg(
+    '-ss', String(start), '-t', String(PREVIEW_S), '-i', file, '-an',
+    '-vf', `scale=-2:${Math.min(PREVIEW_H, meta.height - (meta.height % 2))}`,
+    '-c:v', 'libx264', '-preset', 'slow', '-crf', '28', '-pix_fmt', 'yuv420p', '-movflags', '+faststart',
+    join(outDir, 'preview.mp4'),
+  )
+  return `${MEDIA_URL}/${slug}/preview.mp4`
+}
+
+// ---- run ----
+
+if (!existsSync(SRC)) fail(`No source clips at ${SRC} — put them in videos/<entry-slug>.mov, or pass a folder.`)
+const clips = readdirSync(SRC).filter(isClip).sort()
+if (!clips.length) fail(`No video files in ${SRC}`)
+// fail fast, before anything is written
+if (!DRY) {
+  try {
+    run('ffmpeg', ['-version'])
+  } catch (err) {
+    fail(err.message)
+  }
+}
+
+const cache = !FORCE && existsSync(CACHE) ? JSON.parse(readFileSync(CACHE, 'utf8')) : {}
+const manifest = existsSync(MANIFEST) ? JSON.parse(readFileSync(MANIFEST, 'utf8')) : {}
+const stats = { made: 0, unchanged: 0, failed: 0 }
+
+for (const clip of clips) {
+  const slug = basename(clip, extname(clip))
+  const entryPath = join(ENTRIES, `${slug}.md`)
+  const entry = existsSync(entryPath) ? splitEntry(readFileSync(entryPath, 'utf8')) : null
+  if (!entry) {
+    console.warn(`  ! ${clip}: no src/content/entries/${slug}.md — name the clip after its entry (npm run new-entry makes one)`)
+    stats.failed++
+    continue
+  }
+  const file = join(SRC, clip)
+  const { size, mtimeMs } = statSync(file)
+  const posterAt = entry.data.posterAt !== undefined ? String(entry.data.posterAt) : undefined
+  const key = JSON.stringify({ settings: SETTINGS, size, mtimeMs, posterAt, media: MEDIA_URL })
+  const outDir = join(MEDIA, slug)
+  const rec = manifest[slug]
+  const outputs = rec ? [...rec.sources.map((s) => s.src), rec.sprite, rec.preview].map((u) => join(outDir, basename(u))) : []
+  if (rec && cache[slug] === key && [...outputs, join(ROOT, 'public', rec.poster)].every((p) => existsSync(p))) {
+    stats.unchanged++
+    console.log(`  ${slug}.md — up to date`)
+    continue
+  }
+  if (DRY) {
+    console.log(`  ${slug}.md — would encode ${clip} (${mb(size)})`)
+    continue
+  }
+
+  try {
+    console.log(`  ${slug}.md — encoding ${clip} (${mb(size)})…`)
+    const meta = probe(file)
+    const at = posterAt !== undefined ? seconds(posterAt) : meta.duration / 10
+    if (!(at >= 0 && at < meta.duration)) throw new Error(`posterAt ${posterAt} is past the end (${formatTime(meta.duration)})`)
+    mkdirSync(outDir, { recursive: true })
+    const record = {
+      duration: Math.round(meta.duration * 100) / 100,
+      width: meta.width,
+      height: meta.height,
+      poster: poster(file, slug, at),
+      sources: renditions(file, slug, meta, outDir),
+      sprite: sprite(file, slug, meta, outDir),
+      preview: preview(file, slug, meta, at, outDir),
+    }
+    manifest[slug] = record
+
+    const { lines, body } = entry
+    const diff = []
+    setBlock(lines, 'sources', ['sources:', ...record.sources.map((s) => `  - { src: ${s.src}, type: ${s.type}, height: ${s.height} }`)], 'video', diff)
+    setBlock(lines, 'video', [], 'template', diff)
+    setBlock(lines, 'poster', [`poster: ${record.poster}`], 'sources', diff)
+    setBlock(lines, 'duration', [`duration: "${formatTime(meta.duration)}"`], 'poster', diff)
+    setBlock(lines, 'sprite', [`sprite: ${record.sprite}`], 'duration', diff)
+    setBlock(lines, 'preview', [`preview: ${record.preview}`], 'sprite', diff)
+    writeFileSync(entryPath, `---\n${lines.join('\n')}\n---\n${body}`)
+    for (const l of diff) console.log(`    ${l}`)
+
+    cache[slug] = key
+    stats.made++
+  } catch (err) {
+    console.warn(`  ! ${clip}: ${err.message}`)
+    stats.failed++
+    continue
+  }
+  // saved after every clip, so an interrupted run keeps its progress
+  mkdirSync(dirname(CACHE), { recursive: true })
+  writeFileSync(CACHE, JSON.stringify(cache, null, 2) + '\n')
+  writeFileSync(MANIFEST, JSON.stringify(Object.fromEntries(Object.entries(manifest).sort()), null, 2) + '\n')
+}
+
+if (DRY) {
+  console.log('\n(dry run — nothing encoded or written)')
+} else {
+  console.log(
+    `\n✓ Videos: ${stats.made} encoded, ${stats.unchanged} unchanged${stats.failed ? `, ${stats.failed} failed` : ''}.` +
+      (stats.made ? `\n  Upload media/ to ${MEDIA_URL}/, then run \`npm run photos\` for the poster.` : ''),
+  )
+}
+if (stats.failed) process.exitCode = 1
@@ -0,0 +1,65 @@
+/**
+ * Write src/lib/world-map.json — the country outlines the /map page draws, as a
+ * single pre-projected SVG path, so the map needs no tiles, fonts or network.
+ * Equirectangular, cropped to 84°N–58°S (Antarctica left out); src/lib/geo.ts
+ * projects markers with the same bounds. Only needs re-running if the source
+ * data or the bounds change.
+ *   npm run world-map
+ */
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { feature } from 'topojson-client'
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..')
+const OUT = join(ROOT, 'src', 'lib', 'world-map.json')
+const require = createRequire(import.meta.url)
+const topo = JSON.parse(readFileSync(require.resolve('world-atlas/countries-110m.json'), 'utf8'))
+
+const WIDTH = 1000
+const NORTH = 84
+const SOUTH = -58
+const HEIGHT = Math.round((WIDTH * (NORTH - SOUTH)) / 360)
+
+const r1 = (n) => Math.round(n * 10) / 10
+const project = ([lng, lat]) => [r1(((lng + 180) / 360) * WIDTH), r1(((NORTH - lat) / (NORTH - SOUTH)) * HEIGHT)]
+
+// Rings that cross the antimeridian (Fiji, Chukotka) are unwrapped so they run
+// off the edge of the map instead of streaking across it.
+function unwrap(coords) {
+  const out = [coords[0]]
+  for (const [lng, lat] of coords.slice(1)) {
+    const prev = out[out.length - 1][0]
+    out.push([lng + 360 * Math.round((prev - lng) / 360), lat])
+  }
+  return out
+}
+
+// one closed subpath per ring, relative moves after the first point to keep it small
+function ring(coords) {
+  const pts = unwrap(coords).map(project)
+  let d = `M${pts[0][0]} ${pts[0][1]}`
+  let [px, py] = pts[0]
+  for (const [x, y] of pts.slice(1)) {
+    const dx = r1(x - px)
+    const dy = r1(y - py)
+    if (!dx && !dy) continue
+    d += `l${dx} ${dy}`
+    px = r1(px + dx)
+    py = r1(py + dy)
+  }
+  return d + 'z'
+}
+
+let land = ''
+let n = 0
+for (const f of feature(topo, topo.objects.countries).features) {
+  if (f.properties?.name === 'Antarctica') continue
+  const polys = f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates
+  for (const poly of polys) for (const r of poly) land += ring(r)
+  n++
+}
+
+writeFileSync(OUT, JSON.stringify({ width: WIDTH, height: HEIGHT, north: NORTH, south: SOUTH, land }) + '\n')
+console.log(`✓ Wrote ${n} countries (${Math.round(land.length / 1024)}KB of path) to src/lib/world-map.json`)
@@ -1,4 +1,4 @@
-import { useRoute } from './lib/router'
+import { useRoute, useRoutes, type Route } from './lib/router'
 import Nav from './components/Nav'
 import Footer from './components/Footer'
 import ErrorBoundary from './components/ErrorBoundary'
@@ -7,40 +7,60 @@ import IndexPage from './pages/IndexPage'
 import Entry from './pages/Entry'
 import CV from './pages/CV'
 import AllPhotos from './pages/AllPhotos'
+import Tags from './pages/Tags'
+import Tag from './pages/Tag'
+import TripMap from './pages/TripMap'
+import Series from './pages/Series'
 import NotFound from './pages/NotFound'
-import { getEntry } from './lib/content'
+import { getEntry, byType } from './lib/content'
+import { parseFrame } from './lib/photos'
 
-function resolve(path: string) {
-  const clean = path.replace(/\/+$/, '') || '/'
-  switch (clean) {
-    case '/':
-      return <Home />
-    case '/work':
-      return <IndexPage type="creative" title="Work" blurb="Photographs and films from the road." />
-    case '/tools':
-      return <IndexPage type="tool" title="Tools" blurb="Software I make between trips — mostly things that run in a browser." />
-    case '/photos':
-      return <AllPhotos />
-    case '/cv':
-      return <CV />
-    default: {
-      const slug = clean.slice(1)
+// First match wins; a route whose render returns null falls through to the next.
+const ROUTES: Route[] = [
+  { path: '/', render: () => <Home /> },
+  { path: '/work', render: () => <IndexPage entries={byType('creative')} title="Work" blurb="Photographs and films from the road." /> },
+  { path: '/writing', render: () => <IndexPage entries={byType('writing')} title="Writing" blurb="Essays and field notes." /> },
+  { path: '/tools', render: () => <IndexPage entries={byType('tool')} title="Tools" blurb="Software I make between trips — mostly things that run in a browser." /> },
+  { path: '/tags', render: () => <Tags /> },
+  { path: '/tags/:tag', render: () => <Tag /> },
+  { path: '/series/:name', render: () => <Series /> },
+  // the wall stays mounted while a photo is opened over it (/photos/japan/07)
+  { path: '/photos', render: () => <AllPhotos /> },
+  { path: '/photos/:slug/:frame', render: () => <AllPhotos />, key: () => '/photos' },
+  { path: '/map', render: () => <TripMap /> },
+  { path: '/cv', render: () => <CV /> },
+  {
+    // a gallery frame: the gallery, with its lightbox open on that frame
+    path: '/:slug/:frame',
+    render: ({ slug, frame }) => {
       const entry = getEntry(slug)
-      return entry ? <Entry entry={entry} /> : <NotFound />
-    }
-  }
-}
+      const i = parseFrame(frame)
+      return entry?.template === 'gallery' && i !== null && i < (entry.images?.length ?? 0) ? <Entry entry={entry} /> : null
+    },
+    key: ({ slug }) => `/${slug}`,
+  },
+  {
+    path: '/:slug',
+    render: ({ slug }) => {
+      const entry = getEntry(slug)
+      return entry ? <Entry entry={entry} /> : null
+    },
+  },
+]
+
+const onWall = (path: string) => /^\/photos(\/|$)/.test(path)
 
 export default function App() {
   const path = useRoute()
+  const { key, element } = useRoutes(ROUTES, <NotFound />)
   // the photo wall is its own full-screen surface — no footer, only the burger
-  const fullscreen = path.replace(/\/+$/, '') === '/photos'
+  const fullscreen = onWall(path)
   return (
     <>
       <a href="#main" className="skip-link">Skip to content</a>
       <Nav />
       <main id="main">
-        <ErrorBoundary key={path}>{resolve(path)}</ErrorBoundary>
+        <ErrorBoundary key={key}>{element}</ErrorBoundary>
       </main>
       {!fullscreen && <Footer />}
     </>
@@ -1,11 +1,26 @@
+import { useState } from 'react'
 import { Link } from '../lib/router'
 import Img from './Img'
 import { TEMPLATE_LABEL, type Entry } from '../lib/types'
 import styles from './EntryCard.module.css'
 
+const stillPlease = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false
+
 export default function EntryCard({ entry, index }: { entry: Entry; index?: number }) {
+  // a film's preview loop (npm run videos) plays while the card is pointed at or
+  // focused — mounted only then, so a grid of cards loads no video up front
+  const [looping, setLooping] = useState(false)
+  const start = entry.preview ? () => setLooping(!stillPlease()) : undefined
+  const stop = entry.preview ? () => setLooping(false) : undefined
   return (
-    <Link to={`/${entry.slug}`} className={styles.card}>
+    <Link
+      to={`/${entry.slug}`}
+      className={styles.card}
+      onPointerEnter={start}
+      onPointerLeave={stop}
+      onFocus={start}
+      onBlur={stop}
+    >
       <div className={styles.frame}>
         {typeof index === 'number' && (
           <span className={styles.num}>{String(index + 1).padStart(2, '0')}</span>
@@ -15,6 +30,9 @@ export default function EntryCard({ entry, index }: { entry: Entry; index?: numb
         ) : (
           <div className={styles.placeholder} aria-hidden="true" />
         )}
+        {looping && (
+          <video className={styles.loop} src={entry.preview} autoPlay muted loop playsInline aria-hidden="true" />
+        )}
       </div>
       <div className={styles.cap}>
         <span className={styles.title}>{entry.title}</span>
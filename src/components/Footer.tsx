@@ -13,6 +13,8 @@ export default function Footer() {
         <nav className={styles.links} aria-label="Footer">
           <Link to="/work">Work</Link>
           <Link to="/tools">Tools</Link>
+          <Link to="/map">Map</Link>
+          <Link to="/tags">Tags</Link>
           <Link to="/cv">CV</Link>
         </nav>
         <nav className={styles.links} aria-label="Elsewhere">
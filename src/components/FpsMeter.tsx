@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react'
+import styles from './FpsMeter.module.css'
+
+/**
+ * Development-only readout of frames per second, plus whatever `detail`
+ * reports (e.g. tile counts). Written straight to the DOM twice a second, so
+ * measuring doesn't add renders of its own.
+ */
+export default function FpsMeter({ detail }: { detail?: () => string }) {
+  const ref = useRef<HTMLDivElement>(null)
+
+  useEffect(() => {
+    let raf = 0
+    let frames = 0
+    let worst = 0
+    let last = performance.now()
+    let since = last
+    const tick = (now: number) => {
+      frames++
+      worst = Math.max(worst, now - last)
+      last = now
+      if (now - since >= 500) {
+        const fps = Math.round((frames * 1000) / (now - since))
+        if (ref.current) ref.current.textContent = [`${fps} fps`, `${Math.round(worst)}ms worst`, detail?.()].filter(Boolean).join(' · ')
+        frames = 0
+        worst = 0
+        since = now
+      }
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [detail])
+
+  return <div ref={ref} className={styles.meter} aria-hidden="true" />
+}
@@ -1,4 +1,5 @@
-import { srcSet, primarySrc } from '../lib/img'
+import Picture from './Picture'
+import { placeholderStyle } from '../lib/img'
 import styles from './Img.module.css'
 
 interface Props {
@@ -15,11 +16,10 @@ export default function Img({ src, alt, ratio, sizes = '100vw', priority, classN
   return (
     <div
       className={`${styles.frame} ${className ?? ''}`}
-      style={ratio ? { aspectRatio: ratio } : undefined}
+      style={{ ...placeholderStyle(src), ...(ratio ? { aspectRatio: ratio } : undefined) }}
     >
-      <img
-        src={primarySrc(src)}
-        srcSet={srcSet(src)}
+      <Picture
+        src={src}
         sizes={sizes}
         alt={alt}
         loading={priority ? 'eager' : 'lazy'}
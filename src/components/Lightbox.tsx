@@ -1,5 +1,9 @@
-import { useEffect, useCallback } from 'react'
-import { primarySrc, srcSet } from '../lib/img'
+import { useEffect, useCallback, useRef, useState } from 'react'
+import Picture from './Picture'
+import { exifOf, ratioOf, technicalLine, thumbOf } from '../lib/photos'
+import { placeholderStyle } from '../lib/img'
+import { useHydrated } from '../lib/hooks'
+import ShareButton from './ShareButton'
 import type { EntryImage } from '../lib/types'
 import styles from './Lightbox.module.css'
 
@@ -8,49 +12,306 @@ interface Props {
   index: number
   onClose: () => void
   onIndex: (i: number) => void
+  /** the entry's `hideGps` — leave coordinates out of the technical line */
+  hideGps?: boolean
+  /** shown in the share sheet; the Share button only appears when the URL tracks the frame */
+  title?: string
+  /** where focus goes back to on close; defaults to whatever had it when the viewer opened */
+  returnFocus?: () => HTMLElement | null | undefined
 }
 
-export default function Lightbox({ images, index, onClose, onIndex }: Props) {
+interface Zoom { s: number; x: number; y: number }
+const ONE: Zoom = { s: 1, x: 0, y: 0 }
+const MAX_ZOOM = 5
+const TAP_ZOOM = 2.5
+const INTERVALS = [3, 5, 8, 12] // slideshow seconds
+const FOCUSABLE = 'button, [href], select, input, [tabindex]:not([tabindex="-1"])'
+
+const pad = (n: number) => String(n).padStart(2, '0')
+
+export default function Lightbox({ images, index, onClose, onIndex, hideGps, title, returnFocus }: Props) {
   const prev = useCallback(() => onIndex((index - 1 + images.length) % images.length), [index, images.length, onIndex])
   const next = useCallback(() => onIndex((index + 1) % images.length), [index, images.length, onIndex])
 
+  const rootRef = useRef<HTMLDivElement>(null)
+  const frameRef = useRef<HTMLDivElement>(null)
+  const stripRef = useRef<HTMLOListElement>(null)
+  const closeRef = useRef<HTMLButtonElement>(null)
+  const [zoom, setZoom] = useState<Zoom>(ONE)
+  const [gesturing, setGesturing] = useState(false)
+  const [playing, setPlaying] = useState(false)
+  const [interval, setIntervalSecs] = useState(5)
+  const [fullscreen, setFullscreen] = useState(false)
+  // only known in the browser — read after hydration so the prerendered markup matches
+  const canFullscreen = useHydrated() && document.fullscreenEnabled
+
+  // ---- zoom + pan ----
+
+  // Keep the scaled photo covering its frame: it can't be dragged off an edge.
+  const clampZoom = useCallback((z: Zoom): Zoom => {
+    const el = frameRef.current
+    const s = Math.min(MAX_ZOOM, Math.max(1, z.s))
+    if (!el || s === 1) return ONE
+    const mx = ((s - 1) * el.clientWidth) / 2
+    const my = ((s - 1) * el.clientHeight) / 2
+    return { s, x: Math.min(mx, Math.max(-mx, z.x)), y: Math.min(my, Math.max(-my, z.y)) }
+  }, [])
+
+  /** Scale to `s`, keeping the point under (clientX, clientY) — or the centre — still. */
+  const zoomTo = useCallback(
+    (s: number, clientX?: number, clientY?: number) =>
+      setZoom((z) => {
+        const r = frameRef.current?.getBoundingClientRect()
+        const qx = r && clientX !== undefined ? clientX - (r.left + r.width / 2) : 0
+        const qy = r && clientY !== undefined ? clientY - (r.top + r.height / 2) : 0
+        const k = Math.min(MAX_ZOOM, Math.max(1, s)) / z.s
+        return clampZoom({ s: z.s * k, x: qx - (qx - z.x) * k, y: qy - (qy - z.y) * k })
+      }),
+    [clampZoom],
+  )
+
+  useEffect(() => setZoom(ONE), [index])
+  useEffect(() => { if (zoom.s > 1) setPlaying(false) }, [zoom.s])
+
+  // wheel zoom has to be a non-passive listener to stop the page behind scrolling
   useEffect(() => {
-    const onKey = (e: KeyboardEvent) => {
-      if (e.key === 'Escape') onClose()
-      else if (e.key === 'ArrowLeft') prev()
-      else if (e.key === 'ArrowRight') next()
+    const el = frameRef.current
+    if (!el) return
+    const onWheel = (e: WheelEvent) => {
+      e.preventDefault()
+      setZoom((z) => {
+        const r = el.getBoundingClientRect()
+        const qx = e.clientX - (r.left + r.width / 2)
+        const qy = e.clientY - (r.top + r.height / 2)
+        const k = Math.min(MAX_ZOOM, Math.max(1, z.s * Math.exp(-e.deltaY * 0.002))) / z.s
+        return clampZoom({ s: z.s * k, x: qx - (qx - z.x) * k, y: qy - (qy - z.y) * k })
+      })
     }
-    window.addEventListener('keydown', onKey)
+    el.addEventListener('wheel', onWheel, { passive: false })
+    return () => el.removeEventListener('wheel', onWheel)
+  }, [clampZoom])
+
+  // One pointer pans (or, unzoomed, swipes between photos); two pinch. A quick
+  // second tap in the same spot toggles zoom.
+  const pointers = useRef(new Map<number, { x: number; y: number }>())
+  const gesture = useRef<{ x: number; y: number; zoom: Zoom; dist?: number; moved: boolean } | null>(null)
+  const lastTap = useRef<{ t: number; x: number; y: number } | null>(null)
+
+  const onPointerDown = (e: React.PointerEvent) => {
+    frameRef.current?.setPointerCapture(e.pointerId)
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY })
+    const pts = [...pointers.current.values()]
+    const cx = pts.reduce((a, p) => a + p.x, 0) / pts.length
+    const cy = pts.reduce((a, p) => a + p.y, 0) / pts.length
+    const dist = pts.length === 2 ? Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y) : undefined
+    gesture.current = { x: cx, y: cy, zoom, dist, moved: pts.length > 1 }
+    setGesturing(true)
+  }
+
+  const onPointerMove = (e: React.PointerEvent) => {
+    const g = gesture.current
+    if (!g || !pointers.current.has(e.pointerId)) return
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY })
+    const pts = [...pointers.current.values()]
+    if (pts.length === 2 && g.dist) {
+      const d = Math.hypot(pts[0].x - pts[1].x, pts[0].y - pts[1].y)
+      const r = frameRef.current!.getBoundingClientRect()
+      const qx = g.x - (r.left + r.width / 2)
+      const qy = g.y - (r.top + r.height / 2)
+      const k = Math.min(MAX_ZOOM, Math.max(1, g.zoom.s * (d / g.dist))) / g.zoom.s
+      setZoom(clampZoom({ s: g.zoom.s * k, x: qx - (qx - g.zoom.x) * k, y: qy - (qy - g.zoom.y) * k }))
+      return
+    }
+    const dx = e.clientX - g.x
+    const dy = e.clientY - g.y
+    if (!g.moved && Math.hypot(dx, dy) < 6) return
+    g.moved = true
+    if (g.zoom.s > 1) setZoom(clampZoom({ ...g.zoom, x: g.zoom.x + dx, y: g.zoom.y + dy }))
+  }
+
+  const onPointerUp = (e: React.PointerEvent) => {
+    const g = gesture.current
+    pointers.current.delete(e.pointerId)
+    if (pointers.current.size > 0) {
+      // one finger of a pinch lifted: carry on panning from here with the other
+      const [p] = pointers.current.values()
+      gesture.current = { x: p.x, y: p.y, zoom, moved: true }
+      return
+    }
+    gesture.current = null
+    setGesturing(false)
+    if (!g) return
+    const dx = e.clientX - g.x
+    const dy = e.clientY - g.y
+    if (g.moved) {
+      if (g.zoom.s === 1 && Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) (dx > 0 ? prev : next)()
+      return
+    }
+    const now = Date.now()
+    const t = lastTap.current
+    if (t && now - t.t < 300 && Math.hypot(e.clientX - t.x, e.clientY - t.y) < 30) {
+      lastTap.current = null
+      if (zoom.s > 1) setZoom(ONE)
+      else zoomTo(TAP_ZOOM, e.clientX, e.clientY)
+    } else lastTap.current = { t: now, x: e.clientX, y: e.clientY }
+  }
+
+  // ---- fullscreen + slideshow ----
+
+  const toggleFullscreen = useCallback(() => {
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {})
+    else rootRef.current?.requestFullscreen().catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    const onChange = () => setFullscreen(document.fullscreenElement === rootRef.current)
+    document.addEventListener('fullscreenchange', onChange)
+    return () => {
+      document.removeEventListener('fullscreenchange', onChange)
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {})
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!playing) return
+    const t = window.setTimeout(next, interval * 1000)
+    return () => window.clearTimeout(t)
+  }, [playing, interval, index, next])
+
+  // ---- keyboard, focus trap, scroll lock ----
+
+  // Open with focus inside the dialog; give it back to the opener on the way out.
+  const returnRef = useRef(returnFocus)
+  returnRef.current = returnFocus
+  useEffect(() => {
+    const opener = document.activeElement as HTMLElement | null
+    closeRef.current?.focus()
     document.body.style.overflow = 'hidden'
     return () => {
-      window.removeEventListener('keydown', onKey)
       document.body.style.overflow = ''
+      const back = returnRef.current?.() ?? opener
+      if (back?.isConnected) back.focus()
     }
-  }, [onClose, prev, next])
-
-  // basic swipe
-  let startX = 0
-  const onStart = (e: React.TouchEvent) => { startX = e.touches[0].clientX }
-  const onEnd = (e: React.TouchEvent) => {
-    const dx = e.changedTouches[0].clientX - startX
-    if (dx > 50) prev()
-    else if (dx < -50) next()
-  }
+  }, [])
+
+  useEffect(() => {
+    const onKey = (e: KeyboardEvent) => {
+      if (e.key === 'Tab') {
+        const els = [...(rootRef.current?.querySelectorAll<HTMLElement>(FOCUSABLE) ?? [])].filter((el) => !el.hasAttribute('disabled'))
+        if (!els.length) return
+        const first = els[0]
+        const last = els[els.length - 1]
+        const inside = rootRef.current?.contains(document.activeElement)
+        if (e.shiftKey && (document.activeElement === first || !inside)) { e.preventDefault(); last.focus() }
+        else if (!e.shiftKey && (document.activeElement === last || !inside)) { e.preventDefault(); first.focus() }
+        return
+      }
+      // arrows change the interval while its select has focus
+      if ((e.target as HTMLElement).tagName === 'SELECT' && e.key !== 'Escape') return
+      if (e.key === 'Escape') {
+        if (zoom.s > 1) setZoom(ONE)
+        else onClose()
+      } else if (e.key === 'ArrowLeft') prev()
+      else if (e.key === 'ArrowRight') next()
+      else if (e.key === '+' || e.key === '=') zoomTo(zoom.s * 1.5)
+      else if (e.key === '-') zoomTo(zoom.s / 1.5)
+      else if (e.key === '0') setZoom(ONE)
+      else if (e.key === 'f' && canFullscreen) toggleFullscreen()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [onClose, prev, next, zoom.s, zoomTo, toggleFullscreen, canFullscreen])
+
+  // keep the current thumbnail in view as the photo changes
+  useEffect(() => {
+    const el = stripRef.current?.children[index] as HTMLElement | undefined
+    el?.scrollIntoView({ block: 'nearest', inline: 'center', behavior: 'smooth' })
+  }, [index])
 
   const img = images[index]
+  const tech = technicalLine(exifOf(img.src, hideGps))
+  // sized from the known ratio up front, so the placeholder fills exactly the photo's box
+  const ratio = ratioOf(img.src, img.ratio)
+  // the neighbours load in the background, so stepping to them is instant
+  const neighbours = images.length > 1 ? [...new Set([(index + 1) % images.length, (index - 1 + images.length) % images.length])] : []
+  const stop = (e: React.SyntheticEvent) => e.stopPropagation()
 
   return (
-    <div className={styles.overlay} role="dialog" aria-modal="true" aria-label="Image viewer" onClick={onClose}>
-      <button className={styles.close} onClick={onClose} aria-label="Close (Esc)">Close ✕</button>
+    <div ref={rootRef} className={styles.overlay} role="dialog" aria-modal="true" aria-label="Image viewer" onClick={onClose}>
+      {title && <ShareButton className={styles.share} title={`${title} · ${pad(index + 1)}`} />}
+      <div className={styles.tools} onClick={stop}>
+        {images.length > 1 && (
+          <>
+            <button type="button" className={styles.tool} onClick={() => setPlaying((p) => !p)} aria-pressed={playing}>
+              {playing ? 'Pause' : 'Play'}
+            </button>
+            <select
+              className={styles.interval}
+              value={interval}
+              onChange={(e) => setIntervalSecs(Number(e.target.value))}
+              aria-label="Seconds per photo"
+            >
+              {INTERVALS.map((s) => <option key={s} value={s}>{s}s</option>)}
+            </select>
+          </>
+        )}
+        {canFullscreen && (
+          <button type="button" className={styles.tool} onClick={toggleFullscreen} aria-pressed={fullscreen}>
+            {fullscreen ? 'Exit full screen' : 'Full screen'}
+          </button>
+        )}
+        <button ref={closeRef} type="button" className={styles.close} onClick={onClose} aria-label="Close (Esc)">Close ✕</button>
+      </div>
       <button className={`${styles.nav} ${styles.prev}`} onClick={(e) => { e.stopPropagation(); prev() }} aria-label="Previous">←</button>
-      <figure className={styles.figure} onClick={(e) => e.stopPropagation()} onTouchStart={onStart} onTouchEnd={onEnd}>
-        <img src={primarySrc(img.src)} srcSet={srcSet(img.src)} sizes="90vw" alt={img.caption ?? ''} />
+      <figure className={styles.figure} onClick={stop}>
+        <div
+          ref={frameRef}
+          className={`${styles.frame} ${zoom.s > 1 ? styles.zoomed : ''}`}
+          style={{ ...placeholderStyle(img.src), aspectRatio: ratio, width: `min(100%, calc(var(--frame-h) * ${ratio.toFixed(4)}))` }}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+        >
+          <div
+            className={styles.stage}
+            style={{ transform: `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.s})`, transition: gesturing ? 'none' : undefined }}
+          >
+            {/* zoomed in, ask the srcset for the sharpest file there is */}
+            <Picture src={img.src} sizes={zoom.s > 1 ? '200vw' : '90vw'} alt={img.caption ?? ''} draggable={false} />
+          </div>
+        </div>
         <figcaption className={styles.caption}>
-          <span>{img.caption}</span>
-          <span className={styles.count}>{String(index + 1).padStart(2, '0')} / {String(images.length).padStart(2, '0')}</span>
+          <span className={styles.text}>
+            <span>{img.caption}</span>
+            {tech && <span className={styles.tech}>{tech}</span>}
+          </span>
+          <span className={styles.count} aria-live="polite">{pad(index + 1)} / {pad(images.length)}</span>
         </figcaption>
       </figure>
       <button className={`${styles.nav} ${styles.next}`} onClick={(e) => { e.stopPropagation(); next() }} aria-label="Next">→</button>
+
+      {images.length > 1 && (
+        <ol ref={stripRef} className={styles.strip} onClick={stop} aria-label="All photos">
+          {images.map((im, i) => (
+            <li key={im.src}>
+              <button
+                type="button"
+                className={styles.thumb}
+                onClick={() => onIndex(i)}
+                aria-label={`Photo ${i + 1}${im.caption ? `: ${im.caption}` : ''}`}
+                aria-current={i === index ? 'true' : undefined}
+              >
+                <img src={thumbOf(im.src)} alt="" loading="lazy" decoding="async" draggable={false} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className={styles.preload} aria-hidden="true">
+        {neighbours.map((i) => <Picture key={images[i].src} src={images[i].src} sizes="90vw" alt="" />)}
+      </div>
     </div>
   )
 }
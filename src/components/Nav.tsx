@@ -1,12 +1,14 @@
 import { useEffect, useState } from 'react'
 import { Link, useRoute } from '../lib/router'
 import Logo from './Logo'
+import Search from './Search'
 import styles from './Nav.module.css'
 
 const LINKS = [
   { to: '/', label: 'Home' },
   { to: '/work', label: 'Work' },
   { to: '/photos', label: 'Photos' },
+  { to: '/map', label: 'Map' },
   { to: '/tools', label: 'Tools' },
   { to: '/cv', label: 'CV' },
 ]
@@ -15,9 +17,32 @@ export default function Nav() {
   const path = useRoute()
   const [open, setOpen] = useState(false)
   const [scrolled, setScrolled] = useState(false)
+  const [searching, setSearching] = useState(false)
 
   useEffect(() => { setOpen(false) }, [path])
 
+  // "/" or Cmd/Ctrl-K opens search from anywhere (but "/" still types in fields)
+  useEffect(() => {
+    const onKey = (e: KeyboardEvent) => {
+      const t = e.target as HTMLElement | null
+      const typing = t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName ?? '')
+      if ((e.key === 'k' || e.key === 'K') && (e.metaKey || e.ctrlKey)) {
+        e.preventDefault()
+        setSearching((v) => !v)
+      } else if (e.key === '/' && !typing && !e.metaKey && !e.ctrlKey && !e.altKey) {
+        e.preventDefault()
+        setSearching(true)
+      }
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [])
+
+  const openSearch = () => {
+    setOpen(false)
+    setSearching(true)
+  }
+
   // collapse the word to just the icon once the page is scrolled
   useEffect(() => {
     const onScroll = () => setScrolled(window.scrollY > 8)
@@ -41,7 +66,7 @@ export default function Nav() {
     to === '/' ? path === '/' : path === to || path.startsWith(to)
 
   // the photo wall locks page scroll, so collapse the word there by default too
-  const onPhotos = path.replace(/\/+$/, '') === '/photos'
+  const onPhotos = /^\/photos(\/|$)/.test(path)
   const collapsed = (scrolled || onPhotos) && !open
 
   return (
@@ -58,6 +83,8 @@ export default function Nav() {
         <span className={styles.burgerText}>{open ? 'Close' : 'Menu'}</span>
       </button>
 
+      {searching && <Search onClose={() => setSearching(false)} />}
+
       {open && (
         <div id="site-menu" className={styles.overlay} role="dialog" aria-modal="true" aria-label="Menu">
           <nav className={styles.nav} aria-label="Primary">
@@ -76,6 +103,9 @@ export default function Nav() {
           <div className={styles.meta}>
             <span>Harry Stanyer</span>
             <div className={styles.social}>
+              <button type="button" className={styles.searchBtn} onClick={openSearch} aria-keyshortcuts="/ Control+K Meta+K">
+                Search <kbd>/</kbd>
+              </button>
               <a href="https://www.linkedin.com/in/HarryStanyer" target="_blank" rel="noopener noreferrer">LinkedIn</a>
               <a href="https://github.com/HarryS-AdapptLimited" target="_blank" rel="noopener noreferrer">GitHub</a>
               <a href="mailto:stanyerharry@gmail.com">Email</a>
@@ -0,0 +1,46 @@
+import { useEffect, useRef, useState } from 'react'
+import type { ImgHTMLAttributes } from 'react'
+import { sources, imgSrcSet, primarySrc } from '../lib/img'
+
+type Props = Omit<ImgHTMLAttributes<HTMLImageElement>, 'srcSet'> & {
+  src: string
+  /** shown before a srcset candidate is picked (or with no variants): e.g. the thumbnail */
+  fallback?: string
+}
+
+/**
+ * A photo as `<picture>`: AVIF and WebP sources where `npm run photos` made
+ * them, then a JPEG `<img>` with its own srcset. Props go to the `<img>`, so it
+ * drops in wherever a bare `<img>` was.
+ *
+ * An image that isn't already loaded by the time it mounts (or its src changes)
+ * is held transparent and faded in on load, so whatever the parent paints
+ * behind it — see `placeholderStyle` — cross-fades into the photo.
+ */
+export default function Picture({ src, fallback, sizes = '100vw', className, onLoad, onError, ...img }: Props) {
+  const ref = useRef<HTMLImageElement>(null)
+  // starts false so server-rendered markup never hides a photo if scripts fail
+  const [pending, setPending] = useState(false)
+
+  useEffect(() => {
+    setPending(!!ref.current && !ref.current.complete)
+  }, [src])
+
+  return (
+    <picture>
+      {sources(src).map((s) => (
+        <source key={s.type} type={s.type} srcSet={s.srcSet} sizes={sizes} />
+      ))}
+      <img
+        ref={ref}
+        src={fallback ?? primarySrc(src)}
+        srcSet={imgSrcSet(src)}
+        sizes={sizes}
+        className={[className, pending && 'pending'].filter(Boolean).join(' ') || undefined}
+        onLoad={(e) => { setPending(false); onLoad?.(e) }}
+        onError={(e) => { setPending(false); onError?.(e) }}
+        {...img}
+      />
+    </picture>
+  )
+}
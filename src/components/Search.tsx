@@ -0,0 +1,145 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { navigate } from '../lib/router'
+import { photoPath } from '../lib/photos'
+import { search, terms, highlight, type SearchDoc, type SearchHit } from '../lib/search'
+import { TEMPLATE_LABEL } from '../lib/types'
+import { formatDate } from '../templates/Masthead'
+import styles from './Search.module.css'
+
+// The index is only needed once someone searches, so it's its own chunk.
+let docsPromise: Promise<SearchDoc[]> | null = null
+const loadDocs = () =>
+  (docsPromise ??= import('../lib/search-index.json').then((m) => m.default as SearchDoc[]))
+
+function Marked({ text, ts }: { text: string; ts: string[] }) {
+  return (
+    <>
+      {highlight(text, ts).map((s, i) => (s.hit ? <mark key={i}>{s.text}</mark> : <span key={i}>{s.text}</span>))}
+    </>
+  )
+}
+
+function subline(doc: SearchDoc): string {
+  if (doc.kind === 'photo') return [`Photo · ${doc.entryTitle}`, doc.location].filter(Boolean).join(' · ')
+  return [doc.template ? TEMPLATE_LABEL[doc.template] : '', doc.location, formatDate(doc.date)].filter(Boolean).join(' · ')
+}
+
+/** Command-palette search over every entry (and captioned photo). Opened from Nav. */
+export default function Search({ onClose }: { onClose: () => void }) {
+  const [docs, setDocs] = useState<SearchDoc[] | null>(null)
+  const [query, setQuery] = useState('')
+  const [active, setActive] = useState(0)
+  const inputRef = useRef<HTMLInputElement>(null)
+  const listRef = useRef<HTMLUListElement>(null)
+
+  useEffect(() => {
+    let live = true
+    loadDocs().then((d) => { if (live) setDocs(d) })
+    return () => { live = false }
+  }, [])
+
+  // lock page scroll while open; put focus back where it was on close
+  useEffect(() => {
+    const before = document.activeElement as HTMLElement | null
+    document.body.style.overflow = 'hidden'
+    inputRef.current?.focus()
+    return () => {
+      document.body.style.overflow = ''
+      before?.focus?.()
+    }
+  }, [])
+
+  const ts = useMemo(() => terms(query), [query])
+  const hits: SearchHit[] = useMemo(() => (docs ? search(docs, query) : []), [docs, query])
+
+  useEffect(() => { setActive(0) }, [query])
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-i="${active}"]`)?.scrollIntoView({ block: 'nearest' })
+  }, [active])
+
+  const open = (doc: SearchDoc) => {
+    onClose()
+    // photo results open the gallery's lightbox on that frame
+    navigate(doc.kind === 'photo' ? photoPath(doc.slug, doc.index ?? 0) : `/${doc.slug}`)
+  }
+
+  const onKey = (e: React.KeyboardEvent) => {
+    // keep these from also driving whatever is underneath (lightbox, photo wall)
+    if (['Escape', 'ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'Enter'].includes(e.key)) e.stopPropagation()
+    if (e.key === 'Escape') { e.preventDefault(); onClose() }
+    else if (e.key === 'ArrowDown') { e.preventDefault(); setActive((i) => Math.min(hits.length - 1, i + 1)) }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive((i) => Math.max(0, i - 1)) }
+    else if (e.key === 'Enter' && hits[active]) { e.preventDefault(); open(hits[active].doc) }
+    // only the input is focusable in here, so Tab has nowhere else to go
+    else if (e.key === 'Tab') e.preventDefault()
+  }
+
+  const optionId = (i: number) => `search-opt-${i}`
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div
+        className={styles.panel}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={onKey}
+      >
+        <div className={styles.field}>
+          <svg viewBox="0 0 24 24" width="18" height="18" aria-hidden="true">
+            <circle cx="10.5" cy="10.5" r="6.5" stroke="currentColor" strokeWidth="2" fill="none" />
+            <path d="M15.5 15.5 L21 21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" />
+          </svg>
+          <input
+            ref={inputRef}
+            className={styles.input}
+            type="search"
+            placeholder="Search trips, places, tools…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            role="combobox"
+            aria-expanded={hits.length > 0}
+            aria-controls="search-results"
+            aria-activedescendant={hits.length ? optionId(active) : undefined}
+            aria-autocomplete="list"
+            autoComplete="off"
+            spellCheck={false}
+          />
+          <kbd>Esc</kbd>
+        </div>
+
+        {hits.length > 0 && (
+          <ul id="search-results" ref={listRef} className={styles.results} role="listbox" aria-label="Results">
+            {hits.map(({ doc }, i) => (
+              <li
+                key={`${doc.kind}:${doc.slug}:${doc.index ?? ''}`}
+                id={optionId(i)}
+                data-i={i}
+                role="option"
+                aria-selected={i === active}
+                className={`${styles.result} ${i === active ? styles.active : ''}`}
+                onMouseMove={() => setActive(i)}
+                onClick={() => open(doc)}
+              >
+                <span className={styles.thumb}>
+                  {doc.thumb && <img src={doc.thumb} alt="" loading="lazy" decoding="async" />}
+                </span>
+                <span className={styles.text}>
+                  <span className={styles.title}><Marked text={doc.title} ts={ts} /></span>
+                  <span className={styles.sub}>{subline(doc)}</span>
+                  {doc.excerpt && <span className={styles.excerpt}><Marked text={doc.excerpt} ts={ts} /></span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {query.trim() && docs && hits.length === 0 && <p className={styles.empty}>Nothing matches “{query.trim()}”.</p>}
+        <p className={styles.hint} aria-hidden="true">
+          <span><kbd>↑</kbd><kbd>↓</kbd> to move</span>
+          <span><kbd>↵</kbd> to open</span>
+        </p>
+      </div>
+    </div>
+  )
+}
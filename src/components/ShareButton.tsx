@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Share the current URL — the native share sheet where there is one (phones),
+ * otherwise copy the link. Photo viewers keep the URL on the open frame, so
+ * this always shares exactly what's on screen.
+ */
+export default function ShareButton({ title, className }: { title: string; className?: string }) {
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (!copied) return
+    const t = window.setTimeout(() => setCopied(false), 2000)
+    return () => window.clearTimeout(t)
+  }, [copied])
+
+  const share = async (e: React.MouseEvent) => {
+    e.stopPropagation()
+    const url = window.location.href
+    if (navigator.share) {
+      try {
+        await navigator.share({ title, url })
+        return
+      } catch (err) {
+        if ((err as DOMException).name === 'AbortError') return // dismissed
+      }
+    }
+    try {
+      await navigator.clipboard.writeText(url)
+      setCopied(true)
+    } catch {
+      window.prompt('Copy this link:', url)
+    }
+  }
+
+  return (
+    <button type="button" className={className} onClick={share} aria-live="polite">
+      {copied ? 'Link copied' : 'Share'}
+    </button>
+  )
+}
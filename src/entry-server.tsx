@@ -0,0 +1,21 @@
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import { RouterProvider } from './lib/router'
+import App from './App'
+
+/**
+ * Render one route to HTML at build time (see scripts/prerender.mjs). Same tree
+ * as main.tsx, so the client can hydrate the markup instead of replacing it.
+ */
+export function render(url: string): string {
+  return renderToString(
+    <StrictMode>
+      <RouterProvider url={url}>
+        <App />
+      </RouterProvider>
+    </StrictMode>,
+  )
+}
+
+export { ENTRIES, allTags, allSeries } from './lib/content'
+export { ALL_PHOTOS } from './lib/photos'
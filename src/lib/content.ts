@@ -1,7 +1,9 @@
 import yaml from 'js-yaml'
 import { marked } from 'marked'
-import type { Entry, EntryImage } from './types'
+import type { Entry, EntryImage, VideoSource } from './types'
 import ratios from './photo-ratios.json'
+import relatedSlugs from './related.json'
+import { videoType } from './video'
 
 const RATIOS = ratios as Record<string, string>
 
@@ -13,6 +15,19 @@ function withRealRatios(images?: EntryImage[]): EntryImage[] | undefined {
   return images.map((im) => ({ ...im, ratio: RATIOS[im.src] ?? im.ratio }))
 }
 
+// a lone `video` URL is a film with one rendition; every source gets a MIME type
+function withTypes(sources?: VideoSource[], video?: unknown): VideoSource[] | undefined {
+  const list = sources ?? (video ? [{ src: String(video) }] : undefined)
+  return list?.map((s) => ({ ...s, type: s.type ?? videoType(s.src) }))
+}
+
+// YAML reads a bare 2024-05-25 as a Date; keep dates as ISO strings so sorting
+// and formatting don't depend on the reader's timezone.
+function isoDate(v: unknown): string {
+  if (v instanceof Date) return isNaN(v.getTime()) ? '' : v.toISOString().slice(0, 10)
+  return v ? String(v) : ''
+}
+
 /** Split `---` YAML frontmatter from the markdown body. */
 function parseFrontmatter(raw: string): { data: Record<string, unknown>; body: string } {
   const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(raw)
@@ -28,29 +43,55 @@ const files = import.meta.glob('../content/entries/*.md', {
   eager: true,
 }) as Record<string, string>
 
+/**
+ * The dev server and preview builds (`npm run build:preview`) include drafts and
+ * entries scheduled for later, flagged so Masthead can say so; every other build
+ * leaves them out — and with them their feeds, sitemap entries and photos.
+ */
+export const PREVIEW = import.meta.env.DEV || import.meta.env.MODE === 'preview'
+
+/** Has a `publishAt` day that the build hasn't reached yet. */
+export const isScheduled = (e: Pick<Entry, 'publishAt'>) => !!e.publishAt && e.publishAt > __BUILD_DATE__
+
 function build(): Entry[] {
   const entries: Entry[] = []
   for (const [path, raw] of Object.entries(files)) {
     const slug = path.split('/').pop()!.replace(/\.md$/, '')
     const { data, body } = parseFrontmatter(raw)
-    if (data.draft) continue
+    // shape is enforced at build time by scripts/validate-content.mjs
+    const publishAt = data.publishAt ? isoDate(data.publishAt) || undefined : undefined
+    if ((data.draft || isScheduled({ publishAt })) && !PREVIEW) continue
     entries.push({
       slug,
       title: String(data.title ?? slug),
-      date: String(data.date ?? ''),
+      date: isoDate(data.date),
+      dateEnd: data.dateEnd ? isoDate(data.dateEnd) || undefined : undefined,
       type: (data.type as Entry['type']) ?? 'writing',
       template: (data.template as Entry['template']) ?? 'article',
       excerpt: data.excerpt ? String(data.excerpt) : undefined,
       cover: data.cover ? String(data.cover) : undefined,
       location: data.location ? String(data.location) : undefined,
+      coords: (data.coords as number[]) ?? undefined,
       tags: (data.tags as string[]) ?? undefined,
+      series: data.series ? String(data.series) : undefined,
+      part: typeof data.part === 'number' ? data.part : undefined,
       images: withRealRatios(data.images as EntryImage[] | undefined),
       video: data.video ? String(data.video) : undefined,
+      sources: withTypes(data.sources as VideoSource[] | undefined, data.video),
+      tracks: (data.tracks as Entry['tracks']) ?? undefined,
+      chapters: (data.chapters as Entry['chapters'])?.map((c) => ({ at: String(c.at), title: String(c.title) })),
+      duration: data.duration ? String(data.duration) : undefined,
       poster: data.poster ? String(data.poster) : undefined,
+      posterAt: data.posterAt ? String(data.posterAt) : undefined,
+      sprite: data.sprite ? String(data.sprite) : undefined,
+      preview: data.preview ? String(data.preview) : undefined,
       launch: data.launch ? String(data.launch) : undefined,
       source: data.source ? String(data.source) : undefined,
       tech: (data.tech as string[]) ?? undefined,
       featured: Boolean(data.featured),
+      draft: data.draft ? true : undefined,
+      publishAt,
+      hideGps: data.hideGps ? true : undefined,
       html: marked.parse(body.trim()) as string,
     })
   }
@@ -63,3 +104,66 @@ export const ENTRIES: Entry[] = build()
 export const getEntry = (slug: string) => ENTRIES.find((e) => e.slug === slug)
 export const byType = (type: Entry['type']) => ENTRIES.filter((e) => e.type === type)
 export const featured = () => ENTRIES.filter((e) => e.featured)
+
+/** URL form of a tag, e.g. "Street photography" → "street-photography". */
+export const tagSlug = (tag: string) =>
+  tag.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+
+export const byTag = (slug: string) => ENTRIES.filter((e) => e.tags?.some((t) => tagSlug(t) === slug))
+
+export interface TagCount { tag: string; slug: string; count: number }
+
+/** Every tag in use, most-used first. `tag` keeps the first spelling seen. */
+export function allTags(): TagCount[] {
+  const map = new Map<string, TagCount>()
+  for (const e of ENTRIES) {
+    for (const tag of new Set(e.tags ?? [])) {
+      const slug = tagSlug(tag)
+      if (!slug) continue
+      const t = map.get(slug) ?? { tag, slug, count: 0 }
+      t.count++
+      map.set(slug, t)
+    }
+  }
+  return [...map.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
+
+export interface Series {
+  name: string
+  slug: string
+  /** in part order (entries without a part last, oldest first) */
+  entries: Entry[]
+  photos: number
+}
+
+/** Every series, keyed by the URL form of its name (/series/cycle-asia). */
+const SERIES = new Map<string, Series>()
+for (const e of ENTRIES) {
+  const slug = e.series ? tagSlug(e.series) : ''
+  if (!slug) continue
+  const s = SERIES.get(slug) ?? { name: e.series!, slug, entries: [], photos: 0 }
+  s.entries.push(e)
+  SERIES.set(slug, s)
+}
+for (const s of SERIES.values()) {
+  s.entries.sort((a, b) => (a.part ?? Infinity) - (b.part ?? Infinity) || (a.date < b.date ? -1 : 1))
+  s.photos = new Set(s.entries.flatMap((e) => e.images?.map((im) => im.src) ?? [])).size
+}
+
+export const allSeries = () => [...SERIES.values()]
+export const getSeries = (slug: string) => SERIES.get(slug)
+export const seriesOf = (entry: Entry) => (entry.series ? SERIES.get(tagSlug(entry.series)) : undefined)
+
+/** The entries either side of this one in time, among entries of the same type. */
+export function neighbours(entry: Entry): { prev?: Entry; next?: Entry } {
+  const same = byType(entry.type) // newest first
+  const i = same.findIndex((e) => e.slug === entry.slug)
+  return { prev: same[i + 1], next: i > 0 ? same[i - 1] : undefined }
+}
+
+// ranked at build time by scripts/search-index.mjs (kinship: shared tags, place, tech, closeness in time)
+const RELATED = relatedSlugs as Record<string, string[]>
+
+/** The entries most like this one, best first (up to `n`). */
+export const related = (entry: Entry, n = 3) =>
+  (RELATED[entry.slug] ?? []).map(getEntry).filter((e): e is Entry => !!e).slice(0, n)
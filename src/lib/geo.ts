@@ -0,0 +1,62 @@
+/**
+ * Where each entry happened, for the /map page. In order of preference:
+ * `coords` in frontmatter, the average GPS of its photos (see photo-exif.json),
+ * then the bundled gazetteer (src/lib/gazetteer.json) looked up by `location`
+ * and then `title` — no geocoding service involved.
+ */
+import { ENTRIES } from './content'
+import { exifOf } from './photos'
+import gazetteer from './gazetteer.json'
+import type { Entry } from './types'
+
+export type LatLng = [number, number]
+
+export interface Place {
+  entry: Entry
+  at: LatLng
+  source: 'coords' | 'gps' | 'gazetteer'
+}
+
+// Must match scripts/world-map.mjs, which pre-projects the outlines with these bounds.
+export const MAP_W = 1000
+export const MAP_NORTH = 84
+export const MAP_SOUTH = -58
+export const MAP_H = Math.round((MAP_W * (MAP_NORTH - MAP_SOUTH)) / 360)
+
+/** Equirectangular [lat, lng] → map x/y. */
+export const project = ([lat, lng]: LatLng): [number, number] => [
+  ((lng + 180) / 360) * MAP_W,
+  ((MAP_NORTH - lat) / (MAP_NORTH - MAP_SOUTH)) * MAP_H,
+]
+
+const GAZETTEER: Record<string, number[]> = gazetteer
+const fold = (s: string) => s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim()
+
+/** "Budapest, Hungary" → Budapest, else Hungary; falls back to the title. */
+export function lookup(...names: (string | undefined)[]): LatLng | undefined {
+  for (const name of names) {
+    if (!name) continue
+    const hit = GAZETTEER[fold(name)] ?? name.split(',').map((p) => GAZETTEER[fold(p)]).find(Boolean)
+    if (hit) return [hit[0], hit[1]]
+  }
+  return undefined
+}
+
+function photoGps(e: Entry): LatLng | undefined {
+  const pts = (e.images ?? []).map((im) => exifOf(im.src, e.hideGps)?.gps).filter((g): g is [number, number] => !!g)
+  if (!pts.length) return undefined
+  return [pts.reduce((s, p) => s + p[0], 0) / pts.length, pts.reduce((s, p) => s + p[1], 0) / pts.length]
+}
+
+export function placeOf(e: Entry): Place | null {
+  if (e.coords?.length === 2) return { entry: e, at: [e.coords[0], e.coords[1]], source: 'coords' }
+  const gps = photoGps(e)
+  if (gps) return { entry: e, at: gps, source: 'gps' }
+  const at = lookup(e.location, e.title)
+  return at ? { entry: e, at, source: 'gazetteer' } : null
+}
+
+/** Every placeable entry, oldest first — the order the route line is drawn in. */
+export const PLACES: Place[] = ENTRIES.map(placeOf)
+  .filter((p): p is Place => p !== null)
+  .sort((a, b) => (a.entry.date < b.entry.date ? -1 : a.entry.date > b.entry.date ? 1 : a.entry.slug < b.entry.slug ? -1 : 1))
@@ -38,7 +38,8 @@ export interface Block {
   // grid / index headings
   label?: string
   hrefLabel?: string
-  source?: 'featured' | 'all' | 'creative' | 'writing' | 'tool'
+  source?: 'featured' | 'all' | 'creative' | 'writing' | 'tool' | 'series'
+  series?: string       // which series, by name or slug, when source is 'series'
   limit?: number
   // split
   heading?: string
@@ -1,4 +1,4 @@
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react'
 
 /** Fade-up reveal on scroll. Returns a ref to attach and an `in` flag. */
 export function useReveal<T extends HTMLElement = HTMLDivElement>() {
@@ -37,3 +37,14 @@ export function useDocMeta(title: string, description?: string) {
     }
   }, [title, description])
 }
+
+const noopSubscribe = () => () => {}
+
+/**
+ * False on the server and during hydration, true from then on. Gate anything
+ * that depends on the viewport behind it so the first client render matches the
+ * prerendered HTML.
+ */
+export function useHydrated() {
+  return useSyncExternalStore(noopSubscribe, () => true, () => false)
+}
@@ -3,9 +3,27 @@
  *
  * Photography is ideally served from the existing Cloudflare image CDN
  * (`media.harrystanyer.com/cdn-cgi/image/...`), which resizes on the fly.
- * For those URLs we emit a real `srcset`. Local `/photos/*` files (used in
- * development / for images not yet on the CDN) are served as-is.
+ * For those URLs we emit a real `srcset`. Local `/photos/*` files get the
+ * AVIF / WebP / JPEG width ladders that `npm run photos` generated — read from
+ * its manifest, so only variants that exist are ever referenced — and are
+ * served as-is when there are none (e.g. a fresh checkout in development).
  */
+import type { CSSProperties } from 'react'
+import ratios from './photo-ratios.json'
+import placeholders from './photo-placeholders.json'
+
+// optional: git-ignored and absent until `npm run photos` has run
+const variantFiles = import.meta.glob<Record<string, Partial<Record<Format, number[]>>>>('./photo-variants.json', {
+  eager: true,
+  import: 'default',
+})
+const VARIANTS = Object.values(variantFiles)[0] ?? {}
+const RATIOS = ratios as Record<string, string>
+const PLACEHOLDERS = placeholders as Record<string, Placeholder>
+
+export type Format = 'avif' | 'webp' | 'jpg'
+const MIME: Record<Format, string> = { avif: 'image/avif', webp: 'image/webp', jpg: 'image/jpeg' }
+
 const CDN_HOST = 'media.harrystanyer.com'
 const WIDTHS = [480, 768, 1080, 1600, 2000]
 
@@ -34,3 +52,47 @@ export function srcSet(src: string): string | undefined {
 export function primarySrc(src: string): string {
   return isCdn(src) ? cdnVariant(src, 1600) : src
 }
+
+const variantUrl = (src: string, w: number, fmt: Format) =>
+  src.replace('/photos/', '/photos/variants/').replace(/\.[^./]+$/, `-${w}.${fmt}`)
+
+export interface Source { type: string; srcSet: string }
+
+/**
+ * `<source>` sets for a local photo's modern formats, best first; empty for
+ * CDN/remote images or when no variants were generated.
+ */
+export function sources(src: string): Source[] {
+  const v = VARIANTS[src]
+  if (!v) return []
+  return (['avif', 'webp'] as const).flatMap((fmt) =>
+    v[fmt]?.length ? [{ type: MIME[fmt], srcSet: v[fmt]!.map((w) => `${variantUrl(src, w, fmt)} ${w}w`).join(', ') }] : [],
+  )
+}
+
+/**
+ * `srcset` for the `<img>` itself: the CDN ladder, or a local photo's JPEG
+ * variants topped by the original file at its real width.
+ */
+export function imgSrcSet(src: string): string | undefined {
+  if (isCdn(src)) return srcSet(src)
+  const jpg = VARIANTS[src]?.jpg
+  if (!jpg?.length) return undefined
+  const full = Number(RATIOS[src]?.split('/')[0])
+  return [...jpg.map((w) => `${variantUrl(src, w, 'jpg')} ${w}w`), ...(full ? [`${src} ${full}w`] : [])].join(', ')
+}
+
+/** Dominant colour and a 16px data-URI preview, from scripts/photos.mjs. */
+export interface Placeholder { color: string; lqip: string }
+
+export const placeholderOf = (src: string): Placeholder | undefined => PLACEHOLDERS[src]
+
+/**
+ * Background for the box an image loads into: the blurred preview over its
+ * dominant colour. <Picture> fades the real image in on top once it arrives.
+ */
+export function placeholderStyle(src: string): CSSProperties | undefined {
+  const p = PLACEHOLDERS[src]
+  if (!p) return undefined
+  return { backgroundColor: p.color, backgroundImage: `url("${p.lqip}")`, backgroundSize: 'cover', backgroundPosition: 'center' }
+}
@@ -1,8 +1,23 @@
-import { ENTRIES } from './content'
+import { ENTRIES, tagSlug, allTags } from './content'
 import ratios from './photo-ratios.json'
+import exif from './photo-exif.json'
 
 const RATIOS = ratios as Record<string, string>
 
+/** Capture data read from the published file by scripts/photos.mjs. */
+export interface PhotoExif {
+  taken?: string     // camera's local time, yyyy-mm-ddThh:mm:ss
+  camera?: string
+  lens?: string
+  focal?: number     // mm
+  aperture?: number  // f-number
+  shutter?: string   // "1/250s", "2s"
+  iso?: number
+  gps?: [number, number]  // [lat, lng]
+}
+
+const EXIF = exif as Record<string, PhotoExif>
+
 export interface WallPhoto {
   src: string        // full-res, for the focused view
   thumb: string      // small thumbnail, for the wall tiles
@@ -11,9 +26,12 @@ export interface WallPhoto {
   location?: string
   date: string
   slug: string       // parent entry slug (for "view gallery" link)
+  frame: number      // position in the parent entry's images
+  tags: string[]     // parent entry's tags and the frame's own, as slugs
+  exif?: PhotoExif
 }
 
-const thumbOf = (src: string) => src.replace('/photos/', '/photos/thumbs/').replace(/\.(png|jpeg)$/i, '.jpg')
+export const thumbOf = (src: string) => src.replace('/photos/', '/photos/thumbs/').replace(/\.(png|jpeg)$/i, '.jpg')
 
 export function ratioOf(src: string, declared?: string): number {
   const r = RATIOS[src] ?? declared
@@ -22,10 +40,37 @@ export function ratioOf(src: string, declared?: string): number {
   return w && h ? w / h : 1
 }
 
+/** A photo's EXIF, without GPS when its entry has `hideGps` (the manifest drops it too). */
+export function exifOf(src: string, hideGps?: boolean): PhotoExif | undefined {
+  const e = EXIF[src]
+  if (!e || !hideGps || !e.gps) return e
+  const { gps: _, ...rest } = e
+  return rest
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+const coord = (v: number, pos: string, neg: string) => `${Math.abs(v).toFixed(2)}°${v < 0 ? neg : pos}`
+
+/** "18 Jun 2026, 05:37 · FUJIFILM X100VI · 23mm · f/2 · 1/2000s · ISO 250 · 41.72°N 44.79°E" */
+export function technicalLine(e?: PhotoExif): string {
+  if (!e) return ''
+  const t = e.taken && /^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2})/.exec(e.taken)
+  return [
+    t ? `${Number(t[3])} ${MONTHS[Number(t[2]) - 1]} ${t[1]}, ${t[4]}` : '',
+    e.camera,
+    e.lens,
+    e.focal ? `${e.focal}mm` : '',
+    e.aperture ? `f/${e.aperture}` : '',
+    e.shutter,
+    e.iso ? `ISO ${e.iso}` : '',
+    e.gps ? `${coord(e.gps[0], 'N', 'S')} ${coord(e.gps[1], 'E', 'W')}` : '',
+  ].filter(Boolean).join(' · ')
+}
+
 // Every image across all gallery / photo-essay entries — deduped by src.
 const seen = new Set<string>()
 export const ALL_PHOTOS: WallPhoto[] = ENTRIES.flatMap((e) =>
-  (e.images ?? []).flatMap((im) => {
+  (e.images ?? []).flatMap((im, frame) => {
     if (seen.has(im.src)) return []
     seen.add(im.src)
     return [{
@@ -36,6 +81,117 @@ export const ALL_PHOTOS: WallPhoto[] = ENTRIES.flatMap((e) =>
       location: e.location,
       date: e.date,
       slug: e.slug,
+      frame,
+      tags: [...new Set([...(e.tags ?? []), ...(im.tags ?? [])].map(tagSlug))],
+      exif: exifOf(im.src, e.hideGps),
     }]
   }),
 )
+
+/** One frame's own URL: `/japan/07` (the wall prefixes it with `/photos`). */
+export const photoPath = (slug: string, frame: number) => `/${slug}/${String(frame + 1).padStart(2, '0')}`
+
+/** The `07` in `/japan/07` → 6 (0-based), or null if it isn't a frame number. */
+export function parseFrame(frame?: string): number | null {
+  const n = frame && /^\d+$/.test(frame) ? Number(frame) : 0
+  return n >= 1 ? n - 1 : null
+}
+
+export const photosTagged = (slug: string) => ALL_PHOTOS.filter((p) => p.tags.includes(slug))
+
+// ---- wall filters ----
+// Facet values are URL-safe slugs, so a filter reads straight from/to the query
+// string: ?trip=japan,china&year=2026 — OR within a facet, AND across facets.
+
+export type Facet = 'trip' | 'location' | 'year' | 'orientation' | 'tag'
+export type PhotoFilter = Partial<Record<Facet, string[]>>
+
+export const FACETS: { key: Facet; label: string }[] = [
+  { key: 'trip', label: 'Trip' },
+  { key: 'location', label: 'Location' },
+  { key: 'year', label: 'Year' },
+  { key: 'orientation', label: 'Orientation' },
+  { key: 'tag', label: 'Tag' },
+]
+
+export type Orientation = 'landscape' | 'portrait' | 'square'
+export const orientationOf = (ratio: number): Orientation =>
+  ratio > 1.05 ? 'landscape' : ratio < 0.95 ? 'portrait' : 'square'
+
+function valuesOf(p: WallPhoto, facet: Facet): string[] {
+  switch (facet) {
+    case 'trip': return [p.slug]
+    case 'location': return p.location ? [tagSlug(p.location)] : []
+    case 'year': return [p.date.slice(0, 4)]
+    case 'orientation': return [orientationOf(p.ratio)]
+    case 'tag': return p.tags
+  }
+}
+
+/** Does `p` pass every facet in `filter` (optionally ignoring one)? */
+function passes(p: WallPhoto, filter: PhotoFilter, except?: Facet): boolean {
+  return FACETS.every(({ key }) => {
+    const want = filter[key]
+    if (key === except || !want?.length) return true
+    return valuesOf(p, key).some((v) => want.includes(v))
+  })
+}
+
+export const filterPhotos = (filter: PhotoFilter) => ALL_PHOTOS.filter((p) => passes(p, filter))
+export const isFiltered = (filter: PhotoFilter) => FACETS.some(({ key }) => filter[key]?.length)
+
+export interface FacetOption { value: string; label: string; count: number }
+
+const TAG_LABEL = new Map([
+  ...ENTRIES.flatMap((e) => (e.images ?? []).flatMap((im) => (im.tags ?? []).map((t): [string, string] => [tagSlug(t), t]))),
+  ...allTags().map((t): [string, string] => [t.slug, t.tag]),
+])
+
+function labelOf(p: WallPhoto, facet: Facet, value: string): string {
+  if (facet === 'trip') return p.title
+  if (facet === 'location') return p.location ?? value
+  if (facet === 'tag') return `#${TAG_LABEL.get(value) ?? value}`
+  return value[0].toUpperCase() + value.slice(1)
+}
+
+/**
+ * Every value of every facet, counted against the photos the *other* facets
+ * let through — so the numbers say what picking that value would show.
+ * Selected values are kept even when their count drops to 0.
+ */
+export function facetOptions(filter: PhotoFilter): Record<Facet, FacetOption[]> {
+  const out = {} as Record<Facet, FacetOption[]>
+  for (const { key } of FACETS) {
+    const opts = new Map<string, FacetOption>()
+    for (const p of ALL_PHOTOS) {
+      const hit = passes(p, filter, key)
+      for (const v of valuesOf(p, key)) {
+        const o = opts.get(v) ?? { value: v, label: labelOf(p, key, v), count: 0 }
+        if (hit) o.count++
+        opts.set(v, o)
+      }
+    }
+    const list = [...opts.values()].filter((o) => o.count || filter[key]?.includes(o.value))
+    out[key] =
+      key === 'year' ? list.sort((a, b) => b.value.localeCompare(a.value))
+      : key === 'tag' ? list.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+      : list.sort((a, b) => a.label.localeCompare(b.label))
+  }
+  return out
+}
+
+export function readFilter(search: string): PhotoFilter {
+  const q = new URLSearchParams(search)
+  const out: PhotoFilter = {}
+  for (const { key } of FACETS) {
+    const vs = (q.get(key) ?? '').split(',').map((v) => v.trim()).filter(Boolean)
+    if (vs.length) out[key] = vs
+  }
+  return out
+}
+
+/** "?trip=japan&year=2026", or "" for no filter. */
+export function filterSearch(filter: PhotoFilter): string {
+  const parts = FACETS.flatMap(({ key }) => (filter[key]?.length ? [`${key}=${filter[key]!.map(encodeURIComponent).join(',')}`] : []))
+  return parts.length ? `?${parts.join('&')}` : ''
+}
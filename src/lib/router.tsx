@@ -1,7 +1,13 @@
-import { createContext, useContext, useEffect, useState, useCallback } from 'react'
+import { createContext, useContext, useEffect, useMemo, useState, useCallback } from 'react'
 import type { AnchorHTMLAttributes, ReactNode } from 'react'
 
-const RouteContext = createContext<string>('/')
+export interface Location {
+  path: string    // pathname
+  search: string  // "?a=1", or ""
+  hash: string    // "#id", or ""
+}
+
+const LocationContext = createContext<Location>({ path: '/', search: '', hash: '' })
 const EVT = 'route:navigate'
 
 // Remember where each history entry was scrolled so Back/Forward can restore it
@@ -9,29 +15,65 @@ const EVT = 'route:navigate'
 const scrollPositions = new Map<string, number>()
 let currentPath = typeof window !== 'undefined' ? window.location.pathname : '/'
 
-export function navigate(to: string, replace = false) {
-  if (to === window.location.pathname + window.location.search) return
+const here = (): Location => ({ path: window.location.pathname, search: window.location.search, hash: window.location.hash })
+
+/**
+ * `to` can be a path, or just "?query" / "#anchor" relative to the current page.
+ * `scroll: false` keeps the page where it is — for URL changes that open or step
+ * through an overlay (a lightbox frame) rather than moving to a new page.
+ */
+export function navigate(to: string, replace = false, scroll = true) {
+  const u = new URL(to, window.location.href)
+  const next = u.pathname + u.search + u.hash
+  if (next === window.location.pathname + window.location.search + window.location.hash) return
   scrollPositions.set(currentPath, window.scrollY)
-  if (replace) window.history.replaceState({}, '', to)
-  else window.history.pushState({}, '', to)
-  window.dispatchEvent(new Event(EVT))
+  if (replace) window.history.replaceState({}, '', next)
+  else window.history.pushState({}, '', next)
+  window.dispatchEvent(new CustomEvent(EVT, { detail: { scroll } }))
 }
 
-export function RouterProvider({ children }: { children: ReactNode }) {
-  const [path, setPath] = useState(() => window.location.pathname)
+// The target may not have rendered (or laid out) yet — retry on a timer, like
+// the Back/Forward restore below, until it turns up.
+function scrollToHash(hash: string) {
+  let id = hash.slice(1)
+  try { id = decodeURIComponent(id) } catch { /* use as-is */ }
+  let tries = 0
+  const find = () => {
+    const el = id && document.getElementById(id)
+    if (el) el.scrollIntoView()
+    else if (tries++ < 30) window.setTimeout(find, 40)
+  }
+  find()
+}
+
+/** `url` pins the route when rendering outside a browser (the build-time prerender). */
+export function RouterProvider({ children, url }: { children: ReactNode; url?: string }) {
+  const [loc, setLoc] = useState<Location>(() => {
+    if (url === undefined) return here()
+    const u = new URL(url, 'http://prerender')
+    return { path: u.pathname, search: u.search, hash: u.hash }
+  })
 
   useEffect(() => {
     // Take manual control; we restore per-entry scroll ourselves.
     if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual'
+    // a client-rendered page can't be scrolled to its #anchor before it exists
+    if (window.location.hash) scrollToHash(window.location.hash)
 
     // Back/forward: restore the position this entry had when we left it.
     const onPop = () => {
-      scrollPositions.set(currentPath, window.scrollY)
       const next = window.location.pathname
+      // an in-page #anchor jump — the browser has already scrolled to it
+      if (next === currentPath) { setLoc(here()); return }
+      scrollPositions.set(currentPath, window.scrollY)
       currentPath = next
-      setPath(next)
+      setLoc(here())
       const y = scrollPositions.get(next) ?? 0
-      if (y <= 0) { window.scrollTo(0, 0); return }
+      if (y <= 0) {
+        if (window.location.hash) scrollToHash(window.location.hash)
+        else window.scrollTo(0, 0)
+        return
+      }
       // The new view (and its images) may not have laid out yet, so the page can
       // still be too short to reach `y`. Re-apply on a timer until it sticks or the
       // target becomes reachable. setTimeout (not rAF, which is throttled in
@@ -45,11 +87,13 @@ export function RouterProvider({ children }: { children: ReactNode }) {
       }
       window.setTimeout(restore, 0)
     }
-    // Link navigation: a new page always starts at the top.
-    const onNav = () => {
+    // Link navigation: a new page starts at the top, or at its #anchor.
+    const onNav = (e: Event) => {
       currentPath = window.location.pathname
-      setPath(currentPath)
-      window.scrollTo(0, 0)
+      setLoc(here())
+      if ((e as CustomEvent<{ scroll: boolean }>).detail?.scroll === false) return
+      if (window.location.hash) scrollToHash(window.location.hash)
+      else window.scrollTo(0, 0)
     }
     window.addEventListener('popstate', onPop)
     window.addEventListener(EVT, onNav)
@@ -59,10 +103,78 @@ export function RouterProvider({ children }: { children: ReactNode }) {
     }
   }, [])
 
-  return <RouteContext.Provider value={path}>{children}</RouteContext.Provider>
+  return <LocationContext.Provider value={loc}>{children}</LocationContext.Provider>
+}
+
+export const useLocation = () => useContext(LocationContext)
+
+/** The current pathname. */
+export const useRoute = () => useLocation().path
+
+/** The query string as an object: `useQuery<'tag' | 'year'>().tag`. Repeated keys keep the last value. */
+export function useQuery<K extends string = string>(): Partial<Record<K, string>> {
+  const { search } = useLocation()
+  return useMemo(() => Object.fromEntries(new URLSearchParams(search)) as Partial<Record<K, string>>, [search])
+}
+
+// ---- route table ----
+
+export type Params = Record<string, string>
+
+export interface Route {
+  /** "/tags/:tag" — `:name` captures one segment, a trailing `*` captures the rest as params["*"] */
+  path: string
+  /** return null to decline the match and let a later route try */
+  render: (params: Params) => ReactNode
+  /**
+   * URLs that map to the same key keep the page mounted as they change (e.g.
+   * opening a photo over its gallery). Defaults to the pathname.
+   */
+  key?: (params: Params) => string
+}
+
+const ParamsContext = createContext<Params>({})
+
+const decode = (s: string) => {
+  try { return decodeURIComponent(s) } catch { return s }
+}
+
+/** Match `path` against a route pattern; the captured params, or null. */
+export function matchPath(pattern: string, path: string): Params | null {
+  const want = pattern.split('/').filter(Boolean)
+  const got = path.split('/').filter(Boolean)
+  const params: Params = {}
+  for (let i = 0; i < want.length; i++) {
+    if (want[i] === '*') {
+      params['*'] = got.slice(i).map(decode).join('/')
+      return params
+    }
+    if (i >= got.length) return null
+    const seg = decode(got[i])
+    if (want[i].startsWith(':')) params[want[i].slice(1)] = seg
+    else if (want[i] !== seg) return null
+  }
+  return want.length === got.length ? params : null
+}
+
+/** The first route (in order) that matches and renders, else `fallback`. */
+export function useRoutes(routes: Route[], fallback: ReactNode): { key: string; element: ReactNode } {
+  const { path } = useLocation()
+  for (const route of routes) {
+    const params = matchPath(route.path, path)
+    if (!params) continue
+    const element = route.render(params)
+    if (element == null) continue
+    return {
+      key: route.key?.(params) ?? path,
+      element: <ParamsContext.Provider value={params}>{element}</ParamsContext.Provider>,
+    }
+  }
+  return { key: path, element: fallback }
 }
 
-export const useRoute = () => useContext(RouteContext)
+/** The matched route's `:params` — `useParams<{ tag: string }>().tag`. */
+export const useParams = <T extends Partial<Params> = Params>() => useContext(ParamsContext) as T
 
 type LinkProps = AnchorHTMLAttributes<HTMLAnchorElement> & { to: string }
 
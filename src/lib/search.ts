@@ -0,0 +1,122 @@
+/**
+ * Search over the build-time index (src/lib/search-index.json, written by
+ * `npm run search-index`). Every query term has to match somewhere in a
+ * document; whole words beat word prefixes, which beat substrings, which beat
+ * one-typo fuzzy matches, and each field is weighted so a title hit outranks a
+ * passing mention in the body.
+ */
+import type { Template } from './types'
+
+export interface SearchDoc {
+  kind: 'entry' | 'photo'
+  slug: string
+  title: string
+  date: string
+  template?: Template
+  thumb?: string
+  excerpt?: string
+  location?: string
+  tags?: string[]
+  tech?: string[]
+  body?: string
+  /** photo docs: position in the entry's images, and the entry it belongs to */
+  index?: number
+  entryTitle?: string
+}
+
+export interface SearchHit { doc: SearchDoc; score: number }
+
+/** A run of text, flagged when it's a matched word prefix (rendered as <mark>). */
+export interface Segment { text: string; hit: boolean }
+
+const WEIGHTS = { title: 10, tags: 6, location: 5, tech: 4, excerpt: 3, entryTitle: 3, body: 1 } as const
+type Field = keyof typeof WEIGHTS
+
+/** Lowercase and strip accents, so "turkiye" finds "Türkiye". */
+const fold = (s: string) => s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+const words = (s: string) => fold(s).split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+
+export const terms = (query: string) => words(query)
+
+/** Levenshtein distance; gives up (returning `max + 1`) once it's clearly above `max`. */
+export function editDistance(a: string, b: string, max = Infinity): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    let best = i
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      best = Math.min(best, cur[j])
+    }
+    if (best > max) return max + 1
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+const within = (a: string, b: string, max: number) => editDistance(a, b, max) <= max
+
+// How well one term matches one field's text: 0 (no match) … 1 (whole word).
+function matchTerm(term: string, text: string): number {
+  const ws = words(text)
+  if (ws.includes(term)) return 1
+  if (ws.some((w) => w.startsWith(term))) return 0.8
+  if (fold(text).includes(term)) return 0.4
+  // one typo, against the whole word or the same-length prefix ("barcelnoa", "hano")
+  if (term.length >= 4 && ws.some((w) => within(term, w, 1) || within(term, w.slice(0, term.length), 1))) return 0.25
+  return 0
+}
+
+function fieldText(doc: SearchDoc, field: Field): string {
+  const v = doc[field]
+  return Array.isArray(v) ? v.join(' ') : v ?? ''
+}
+
+export function search(docs: SearchDoc[], query: string, limit = 12): SearchHit[] {
+  const ts = terms(query)
+  if (!ts.length) return []
+  const hits: SearchHit[] = []
+  for (const doc of docs) {
+    let score = 0
+    for (const t of ts) {
+      let best = 0
+      for (const field of Object.keys(WEIGHTS) as Field[]) {
+        const text = fieldText(doc, field)
+        if (text) best = Math.max(best, WEIGHTS[field] * matchTerm(t, text))
+      }
+      if (!best) { score = 0; break }
+      score += best
+    }
+    // an entry outranks one of its own photos matching equally well
+    if (score) hits.push({ doc, score: doc.kind === 'photo' ? score * 0.9 : score })
+  }
+  return hits.sort((a, b) => b.score - a.score || (a.doc.date < b.doc.date ? 1 : -1)).slice(0, limit)
+}
+
+/** Split `text` so word prefixes matching any term can be highlighted. */
+export function highlight(text: string, ts: string[]): Segment[] {
+  if (!ts.length) return [{ text, hit: false }]
+  // fold char by char so offsets in the folded string map back onto `text`
+  let folded = ''
+  const at: number[] = []
+  for (let i = 0; i < text.length; i++) {
+    const f = fold(text[i])
+    for (let k = 0; k < f.length; k++) at.push(i)
+    folded += f
+  }
+  at.push(text.length)
+  const marks = new Array<boolean>(text.length).fill(false)
+  const wordStart = /[\p{L}\p{N}]+/gu
+  for (let m = wordStart.exec(folded); m; m = wordStart.exec(folded)) {
+    const len = Math.max(0, ...ts.filter((t) => m![0].startsWith(t)).map((t) => t.length))
+    for (let i = at[m.index]; i < at[m.index + len]; i++) marks[i] = true
+  }
+  const out: Segment[] = []
+  for (let i = 0; i < text.length; i++) {
+    const last = out[out.length - 1]
+    if (last && last.hit === marks[i]) last.text += text[i]
+    else out.push({ text: text[i], hit: marks[i] })
+  }
+  return out
+}
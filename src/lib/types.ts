@@ -6,25 +6,62 @@ export interface EntryImage {
   caption?: string
   /** aspect ratio "w/h"; defaults to 3/4 (portrait) when omitted */
   ratio?: string
+  tags?: string[]         // this frame's own keywords, on top of the entry's tags
+  rating?: number         // 1–5 stars, from the catalogue
+}
+
+/** One rendition of a film; the player picks the first whose type and screen fit. */
+export interface VideoSource {
+  src: string
+  type?: string           // MIME type, e.g. video/webm; inferred from the extension when omitted
+  height?: number         // rendition height in px, e.g. 720 — smaller ones go to smaller screens
+}
+
+/** A WebVTT caption or subtitle track. */
+export interface VideoTrack {
+  src: string             // .vtt URL; remote ones need CORS from the media host
+  lang: string            // BCP 47 language, e.g. en, fr, pt-BR
+  label?: string          // shown in the player's menu; defaults to the language's name
+  kind?: 'captions' | 'subtitles'  // captions also describe sounds; default subtitles
+  default?: boolean       // shown without being picked
+}
+
+export interface VideoChapter {
+  at: string              // start time, "mm:ss" or "h:mm:ss"
+  title: string
 }
 
 export interface Entry {
   slug: string
   title: string
   date: string            // ISO yyyy-mm-dd
+  dateEnd?: string        // last day, for an entry covering a span (a trip); ISO yyyy-mm-dd
   type: EntryType
   template: Template
   excerpt?: string
   cover?: string
   location?: string
+  coords?: number[]       // [lat, lng] for the map; otherwise from photo GPS or the gazetteer
   tags?: string[]
+  series?: string         // name of a run of entries this belongs to, e.g. "Cycle Asia"
+  part?: number           // its place in that series, 1 first
   images?: EntryImage[]
-  video?: string          // mp4/webm URL for video template
+  video?: string          // mp4/webm URL for video template (or list renditions in `sources`)
+  sources?: VideoSource[] // renditions of the film, in any order
+  tracks?: VideoTrack[]   // captions and subtitles
+  chapters?: VideoChapter[]
+  duration?: string       // running time, "mm:ss" or "h:mm:ss" — for search engines
   poster?: string         // video poster frame
+  posterAt?: string       // "mm:ss" in the film that `npm run videos` takes the poster from
+  sprite?: string         // WebVTT of thumbnail-sheet cues — the film page's scrub bar (npm run videos)
+  preview?: string        // short muted loop, played while its card is hovered (npm run videos)
   launch?: string         // live URL for tool template
   source?: string         // source repo URL for tool template
   tech?: string[]         // tech stack for tool template
   featured?: boolean
+  draft?: boolean         // only ever set in previews — published builds leave drafts out
+  publishAt?: string      // ISO yyyy-mm-dd; left out of builds made before this day
+  hideGps?: boolean       // keep photo GPS out of the site (sensitive locations)
   /** rendered HTML body (from markdown) */
   html: string
 }
@@ -0,0 +1,60 @@
+/**
+ * Helpers for the film template: "mm:ss" times, rendition order, and turning
+ * `[02:15]` in an entry's body into links that seek the player.
+ */
+import type { VideoSource } from './types'
+
+/** "2:15" / "02:15" / "1:02:15" → seconds; NaN when it isn't a time. */
+export function parseTime(s: string): number {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(s.trim())
+  if (!m || Number(m[3]) > 59 || (m[1] !== undefined && Number(m[2]) > 59)) return NaN
+  return Number(m[1] ?? 0) * 3600 + Number(m[2]) * 60 + Number(m[3])
+}
+
+/** 135 → "2:15", 3735 → "1:02:15" */
+export function formatTime(sec: number): string {
+  const t = Math.max(0, Math.floor(sec))
+  const h = Math.floor(t / 3600)
+  const mm = Math.floor((t % 3600) / 60)
+  const ss = String(t % 60).padStart(2, '0')
+  return h ? `${h}:${String(mm).padStart(2, '0')}:${ss}` : `${mm}:${ss}`
+}
+
+const MIME: Record<string, string> = { webm: 'video/webm', mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', ogv: 'video/ogg' }
+export const videoType = (src: string) => MIME[/\.(\w+)(?:[?#].*)?$/.exec(src)?.[1].toLowerCase() ?? '']
+
+/**
+ * The order to list renditions in <video>: smallest first, each limited by a
+ * `media` query to screens it's sharp enough for (a 720p file up to 1280px
+ * wide), and WebM before MP4 at the same size since it's the smaller download.
+ * The largest — or any without a height — takes every other screen.
+ */
+export function renditions(sources: VideoSource[]): (VideoSource & { media?: string })[] {
+  const largest = Math.max(...sources.map((s) => s.height ?? Infinity))
+  const rank = (s: VideoSource) => (s.type === 'video/webm' ? 0 : 1)
+  return [...sources]
+    .sort((a, b) => (a.height ?? Infinity) - (b.height ?? Infinity) || rank(a) - rank(b))
+    .map((s) => (s.height && s.height < largest ? { ...s, media: `(max-width: ${Math.round((s.height * 16) / 9)}px)` } : s))
+}
+
+// `[02:15]`-style times in a rendered body, outside code
+const STAMP = /\[((?:\d+:)?\d{1,2}:\d{2})\]/g
+const CODE = /(<pre[\s\S]*?<\/pre>|<code[\s\S]*?<\/code>)/
+
+/**
+ * Rewrite `[02:15]` as a link to `?t=135` — which the film page honours on load,
+ * so the link works when shared — carrying `data-t` for the in-page seek.
+ */
+export function linkTimestamps(html: string): string {
+  return html
+    .split(CODE)
+    .map((part, i) =>
+      i % 2
+        ? part
+        : part.replace(STAMP, (all, at: string) => {
+            const t = parseTime(at)
+            return isNaN(t) ? all : `<a href="?t=${t}" data-t="${t}" class="timestamp">${at}</a>`
+          }),
+    )
+    .join('')
+}
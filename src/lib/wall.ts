@@ -0,0 +1,86 @@
+/**
+ * Layout maths for the /photos wall, kept free of React and the DOM so the
+ * page can run it every animation frame: the shuffled photo order, each row's
+ * widths (computed once per distinct row, then reused), and the fisheye lens.
+ */
+import type { WallPhoto } from './photos'
+
+export const GAP = 10
+
+// A fixed shuffled permutation of the wall's photo indices. Selecting consecutive
+// entries gives distinct photos; each row is offset by ROW_STEP so vertical /
+// diagonal neighbours never coincide, and the horizontal repeat sits off-screen.
+export const ROW_STEP = 17
+export function permutation(n: number): number[] {
+  const a = Array.from({ length: n }, (_, i) => i)
+  let s = 0x9e3779b1 >>> 0
+  for (let i = a.length - 1; i > 0; i--) {
+    s = (Math.imul(s, 1664525) + 1013904223) >>> 0
+    const j = s % (i + 1)
+    ;[a[i], a[j]] = [a[j], a[i]]
+  }
+  return a
+}
+
+export const mod = (a: number, n: number) => ((a % n) + n) % n
+
+/** A row's repeating photo sequence, cumulative x of each slot, and the period width incl. trailing gap. */
+export interface Row { seq: { photo: WallPhoto; w: number }[]; cum: number[]; P: number }
+
+/**
+ * Row r shows perm[(k + r·ROW_STEP) mod n] at slot k, so rows sharing that
+ * phase are identical — at most n distinct rows, each laid out on first use.
+ */
+export function rowCache(photos: WallPhoto[], perm: number[], rowH: number, period: number): (r: number) => Row {
+  const n = photos.length
+  const rows = new Map<number, Row>()
+  return (r) => {
+    const phase = mod(r * ROW_STEP, n)
+    let row = rows.get(phase)
+    if (!row) {
+      const seq: Row['seq'] = []
+      const cum = [0]
+      for (let k = 0; k < period; k++) {
+        const photo = photos[perm[mod(k + phase, n)]]
+        const ar = Math.min(2.4, Math.max(0.55, photo.ratio)) // clamp extremes for layout sanity
+        const w = Math.round(rowH * ar)
+        seq.push({ photo, w })
+        cum.push(cum[k] + w + GAP)
+      }
+      row = { seq, cum, P: cum[period] }
+      rows.set(phase, row)
+    }
+    return row
+  }
+}
+
+// ---- fisheye field ----
+// B = how much the focal tile grows. Magnification along one axis at offset t:
+//   m(t) = 1 + B·h(t),  h(t) = (1 - |t|/R)²   (0 beyond R)
+// Tile scale s = 1 + B·min(hx,hy) — a point focus, and ≤ each axis magnification.
+// The push along an axis is ∫₀ᵗ (s-1), evaluated with the OTHER axis fixed, so
+// the spread tapers off away from centre (rows bow locally) and cells still tile.
+const B = 0.42
+const hAxis = (t: number, R: number) => {
+  const a = Math.min(Math.abs(t), R)
+  return (1 - a / R) ** 2
+}
+const pushAxis = (t: number, R: number, hFixed: number) => {
+  const a = Math.min(Math.abs(t), R)
+  const vs = R * (1 - Math.sqrt(hFixed)) // point where the varying axis drops below hFixed
+  const I = a <= vs ? hFixed * a : hFixed * vs + (R / 3) * (Math.pow(hFixed, 1.5) - (1 - a / R) ** 3)
+  return Math.sign(t) * B * I
+}
+
+/** Push (px, py) and scale s for a tile whose centre is (bx, by) from the screen's. */
+export function fisheye(bx: number, by: number, focusR: number) {
+  const Rx = focusR * 1.2
+  const Ry = focusR
+  const hx = hAxis(bx, Rx)
+  const hy = hAxis(by, Ry)
+  return {
+    s: 1 + B * Math.min(hx, hy),
+    px: pushAxis(bx, Rx, hy), // horizontal push, vertical proximity fixed
+    py: pushAxis(by, Ry, hx), // vertical push, horizontal proximity fixed
+  }
+}
@@ -3,14 +3,20 @@ import './styles/tokens.css'
 import './styles/global.css'
 
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import { RouterProvider } from './lib/router'
 import App from './App'
 
-createRoot(document.getElementById('root')!).render(
+const app = (
   <StrictMode>
     <RouterProvider>
       <App />
     </RouterProvider>
-  </StrictMode>,
+  </StrictMode>
 )
+
+// Prerendered routes ship their markup in #root — hydrate it. The 404 fallback
+// (and the dev server) serve the empty shell, so render from scratch there.
+const root = document.getElementById('root')!
+if (root.hasChildNodes()) hydrateRoot(root, app)
+else createRoot(root).render(app)
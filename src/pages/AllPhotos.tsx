@@ -1,56 +1,81 @@
-import { useEffect, useRef, useState, useCallback } from 'react'
-import { Link } from '../lib/router'
-import { useDocMeta } from '../lib/hooks'
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react'
+import { Link, navigate, useLocation, useParams } from '../lib/router'
+import { useDocMeta, useHydrated } from '../lib/hooks'
 import { formatDate } from '../templates/Masthead'
-import { ALL_PHOTOS, type WallPhoto } from '../lib/photos'
+import { getEntry } from '../lib/content'
+import ShareButton from '../components/ShareButton'
+import Picture from '../components/Picture'
+import FpsMeter from '../components/FpsMeter'
+import { imgSrcSet, placeholderOf, placeholderStyle, sources } from '../lib/img'
+import { GAP, fisheye, mod, permutation, rowCache, ROW_STEP } from '../lib/wall'
+import {
+  ALL_PHOTOS, FACETS, facetOptions, filterPhotos, filterSearch, isFiltered, parseFrame, photoPath, readFilter, technicalLine,
+  type Facet, type PhotoFilter, type WallPhoto,
+} from '../lib/photos'
 import styles from './AllPhotos.module.css'
 
-const GAP = 10
-
-// A fixed shuffled permutation of all photo indices. Selecting consecutive
-// entries gives distinct photos; each row is offset by ROW_STEP so vertical /
-// diagonal neighbours never coincide, and the horizontal repeat sits off-screen.
-const N_PHOTOS = ALL_PHOTOS.length
-const ROW_STEP = 17
-const PERM = (() => {
-  const a = Array.from({ length: N_PHOTOS }, (_, i) => i)
-  let s = 0x9e3779b1 >>> 0
-  for (let i = a.length - 1; i > 0; i--) {
-    s = (Math.imul(s, 1664525) + 1013904223) >>> 0
-    const j = s % (i + 1)
-    ;[a[i], a[j]] = [a[j], a[i]]
-  }
-  return a
-})()
-const photoAt = (r: number, k: number) => PERM[(((k + r * ROW_STEP) % N_PHOTOS) + N_PHOTOS) % N_PHOTOS]
-
-// ---- fisheye field ----
-// B = how much the focal tile grows. Magnification along one axis at offset t:
-//   m(t) = 1 + B·h(t),  h(t) = (1 - |t|/R)²   (0 beyond R)
-// Tile scale s = 1 + B·min(hx,hy) — a point focus, and ≤ each axis magnification.
-// The push along an axis is ∫₀ᵗ (s-1), evaluated with the OTHER axis fixed, so
-// the spread tapers off away from centre (rows bow locally) and cells still tile.
-const B = 0.42
-const hAxis = (t: number, R: number) => {
-  const a = Math.min(Math.abs(t), R)
-  return (1 - a / R) ** 2
-}
-const pushAxis = (t: number, R: number, hFixed: number) => {
-  const a = Math.min(Math.abs(t), R)
-  const vs = R * (1 - Math.sqrt(hFixed)) // point where the varying axis drops below hFixed
-  const I = a <= vs ? hFixed * a : hFixed * vs + (R / 3) * (Math.pow(hFixed, 1.5) - (1 - a / R) ** 3)
-  return Math.sign(t) * B * I
+// keys that pan the wall, as a unit direction (the wall moves the other way)
+const PAN_KEYS: Record<string, [number, number]> = {
+  ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+  a: [-1, 0], d: [1, 0], w: [0, -1], s: [0, 1],
 }
+const FRICTION = 0.94
+// a glide at speed v covers v / (1 - FRICTION) px, so a key press travelling
+// `dist` starts at dist·(1 - FRICTION)
+const kick = (dist: number) => dist * (1 - FRICTION)
+
+// a tile's place on the wall: row, repeat of the row's sequence, slot within it
+type Spot = { r: number; pi: number; k: number }
+// what a pooled tile element is currently showing
+type Tile = { key: string; photo: WallPhoto; spot: Spot; w: number }
+
+const pad = (n: number) => String(n).padStart(2, '0')
+
+const describe = (p: WallPhoto) =>
+  [p.title, p.location, formatDate(p.date)].filter(Boolean).join(', ')
 
 export default function AllPhotos() {
   useDocMeta('Photographs — Harry Stanyer', 'Every photograph, in one endless wall.')
 
-  const [vp, setVp] = useState(() => ({ w: window.innerWidth, h: window.innerHeight }))
-  const [offset, setOffset] = useState({ x: 0, y: 0 })
-  const [selected, setSelected] = useState<{ photo: WallPhoto; index: number } | null>(null)
+  // the wall is laid out from the viewport, so the prerendered page is just the
+  // empty surface — tiles appear once the client has hydrated
+  const hydrated = useHydrated()
+
+  // facet filters live in the query string (?trip=japan&orientation=portrait — tag
+  // pages link ?tag=), so a filtered wall can be shared; applied once hydrated
+  const { search } = useLocation()
+  const filter = useMemo(() => (hydrated ? readFilter(search) : {}), [hydrated, search])
+  const filtered = isFiltered(filter)
+  const [filtersOpen, setFiltersOpen] = useState(false)
+  const photos = useMemo(() => (filtered ? filterPhotos(filter) : ALL_PHOTOS), [filtered, filter])
+  const options = useMemo(() => facetOptions(filter), [filter])
+  const nPhotos = photos.length
+  const perm = useMemo(() => permutation(nPhotos), [nPhotos])
+  const slotOf = useMemo(() => {
+    const inv: number[] = []
+    perm.forEach((idx, pos) => { inv[idx] = pos })
+    return inv
+  }, [perm])
+  const setFilter = (next: PhotoFilter) => navigate('/photos' + filterSearch(next), true, false)
+  const toggle = (facet: Facet, value: string) => {
+    const cur = filter[facet] ?? []
+    setFilter({ ...filter, [facet]: cur.includes(value) ? cur.filter((v) => v !== value) : [...cur, value] })
+  }
+  const summary = FACETS.flatMap(({ key }) =>
+    (filter[key] ?? []).map((v) => options[key].find((o) => o.value === v)?.label ?? v),
+  ).join(' + ')
+  const [vp, setVp] = useState(() =>
+    typeof window === 'undefined' ? { w: 0, h: 0 } : { w: window.innerWidth, h: window.innerHeight },
+  )
+  const [selected, setSelected] = useState<{ photo: WallPhoto; index: number; spot: Spot | null } | null>(null)
+  // what the detail view's previous / next step through: the open photo's trip, or the wall
+  const [stepBy, setStepBy] = useState<'trip' | 'wall'>('trip')
   const [open, setOpen] = useState(false) // detail visible (drives blast + fade)
   const [closing, setClosing] = useState(false) // blast is animating shut
-  const [reduceMotion] = useState(() => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false)
+  const [listView, setListView] = useState(false)
+  const [reduceMotion] = useState(() =>
+    typeof window !== 'undefined' && (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false),
+  )
 
   // "lens" magnify: whichever photo is nearest the centre of the screen is the
   // biggest, tapering to normal size outward — refocuses live as you pan.
@@ -60,24 +85,87 @@ export default function AllPhotos() {
   const wallRef = useRef<HTMLDivElement>(null)
   const offsetRef = useRef({ x: 0, y: 0 })
   const rafRef = useRef(0)
+  const paintRef = useRef(() => {}) // the latest render's paint(), for rAF callbacks
   const inertiaRef = useRef(0)
+  const velocity = useRef({ x: 0, y: 0 })
+  const swipe = useRef({ x: 0, y: 0, swiped: false })
   const drag = useRef({ active: false, lastX: 0, lastY: 0, vx: 0, vy: 0, moved: 0 })
+  // keyboard focus roves to whichever tile sits under the lens; `roving` is set
+  // while focus is on the wall, `opener` is what to refocus when the detail closes
+  const roving = useRef(false)
+  const opener = useRef<HTMLElement | null>(null)
+  const closeRef = useRef<HTMLButtonElement>(null)
 
   const ROW_H = vp.w < 700 ? 130 : vp.w < 1100 ? 168 : 200
   const ROW_STRIDE = ROW_H + GAP
-  const PERIOD = Math.min(30, N_PHOTOS) // photos per row before the horizontal sequence repeats
+  const PERIOD = Math.min(30, nPhotos) // photos per row before the horizontal sequence repeats
+  const rowLayout = useMemo(() => rowCache(photos, perm, ROW_H, PERIOD), [photos, perm, ROW_H, PERIOD])
 
-  const scheduleRender = useCallback(() => {
+  // The nearest tile showing photos[index] to the middle of the screen: the
+  // closest row whose visible stretch of the sequence includes it, then the
+  // closest repeat along that row.
+  const locate = (index: number): Spot | null => {
+    if (index < 0 || !nPhotos) return null
+    const rc = Math.round((vp.h / 2 - offsetRef.current.y - ROW_H / 2) / ROW_STRIDE)
+    for (let d = 0; d <= nPhotos; d++) {
+      for (const r of d ? [rc + d, rc - d] : [rc]) {
+        const k = mod(slotOf[index] - r * ROW_STEP, nPhotos)
+        if (k >= PERIOD) continue
+        const { seq, cum, P } = rowLayout(r)
+        const pi = Math.round((vp.w / 2 - offsetRef.current.x - cum[k] - seq[k].w / 2) / P)
+        return { r, pi, k }
+      }
+    }
+    return null
+  }
+
+  const schedulePaint = useCallback(() => {
     if (rafRef.current) return
     rafRef.current = requestAnimationFrame(() => {
       rafRef.current = 0
-      setOffset({ x: offsetRef.current.x, y: offsetRef.current.y })
+      paintRef.current()
     })
   }, [])
 
   const stopInertia = () => {
     if (inertiaRef.current) cancelAnimationFrame(inertiaRef.current)
     inertiaRef.current = 0
+    velocity.current = { x: 0, y: 0 }
+  }
+
+  // coast on `velocity` until friction stops it; drags and keys both feed it
+  const glide = () => {
+    if (inertiaRef.current) return
+    const step = () => {
+      const v = velocity.current
+      v.x *= FRICTION; v.y *= FRICTION
+      offsetRef.current.x += v.x
+      offsetRef.current.y += v.y
+      // paint directly in this rAF (no second scheduled frame → no stutter)
+      paintRef.current()
+      inertiaRef.current = Math.hypot(v.x, v.y) > 0.25 ? requestAnimationFrame(step) : 0
+    }
+    inertiaRef.current = requestAnimationFrame(step)
+  }
+
+  // ease the wall (hidden behind the detail) so `spot` sits in the middle of the screen
+  const centreOn = (spot: Spot) => {
+    stopInertia()
+    const { seq, cum, P } = rowLayout(spot.r)
+    const to = {
+      x: vp.w / 2 - (spot.pi * P + cum[spot.k] + seq[spot.k].w / 2),
+      y: vp.h / 2 - (spot.r * ROW_STRIDE + ROW_H / 2),
+    }
+    const from = { ...offsetRef.current }
+    const t0 = performance.now()
+    const step = (now: number) => {
+      const t = reduceMotion ? 1 : Math.min(1, (now - t0) / 500)
+      const e = 1 - (1 - t) ** 3
+      offsetRef.current = { x: from.x + (to.x - from.x) * e, y: from.y + (to.y - from.y) * e }
+      paintRef.current()
+      inertiaRef.current = t < 1 ? requestAnimationFrame(step) : 0
+    }
+    inertiaRef.current = requestAnimationFrame(step)
   }
 
   // lock page scroll while mounted; release to the default on unmount.
@@ -109,19 +197,48 @@ export default function AllPhotos() {
       stopInertia()
       offsetRef.current.x -= e.deltaX
       offsetRef.current.y -= e.deltaY
-      scheduleRender()
+      schedulePaint()
     }
     el.addEventListener('wheel', onWheel, { passive: false })
     return () => el.removeEventListener('wheel', onWheel)
-  }, [open, scheduleRender])
+  }, [open, schedulePaint])
 
-  // Escape closes the detail view
+  // Escape closes the detail view, or else the filter panel; with the detail
+  // open, left / right step through photos. Otherwise arrows / WASD pan
+  // about a row, PageUp / PageDown most of a screen, with the same glide as a
+  // flicked drag; held keys build speed up to a cap.
   useEffect(() => {
-    const onKey = (e: KeyboardEvent) => { if (e.key === 'Escape' && open) close() }
+    const onKey = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') {
+        if (open) close()
+        else setFiltersOpen(false)
+        return
+      }
+      if (e.metaKey || e.ctrlKey || e.altKey) return
+      if (open) {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') step(e.key === 'ArrowLeft' ? -1 : 1)
+        return
+      }
+      if (listView) return
+      const el = e.target as HTMLElement
+      if (el.closest('input, textarea, select, [contenteditable="true"]') || el.closest(`.${styles.facets}`)) return
+      let dx = 0, dy = 0
+      const dir = PAN_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key]
+      if (dir) [dx, dy] = [dir[0] * kick(ROW_STRIDE * 1.5), dir[1] * kick(ROW_STRIDE)]
+      else if (e.key === 'PageDown') dy = kick(vp.h * 0.8)
+      else if (e.key === 'PageUp') dy = -kick(vp.h * 0.8)
+      else return
+      e.preventDefault()
+      const v = velocity.current
+      const cap = kick(vp.h)
+      v.x = Math.max(-cap, Math.min(cap, v.x - dx))
+      v.y = Math.max(-cap, Math.min(cap, v.y - dy))
+      glide()
+    }
     window.addEventListener('keydown', onKey)
     return () => window.removeEventListener('keydown', onKey)
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [open])
+  }, [open, listView, ROW_STRIDE, vp.h, selected, stepBy])
 
   useEffect(() => () => { stopInertia(); if (rafRef.current) cancelAnimationFrame(rafRef.current) }, [])
 
@@ -143,154 +260,450 @@ export default function AllPhotos() {
     drag.current.moved += Math.abs(dx) + Math.abs(dy)
     offsetRef.current.x += dx
     offsetRef.current.y += dy
-    scheduleRender()
+    schedulePaint()
   }
   const onPointerUp = () => {
     if (!drag.current.active) return
     drag.current.active = false
     const { vx, vy } = drag.current
     if (Math.hypot(vx, vy) > 3) {
-      let cvx = vx, cvy = vy
-      const step = () => {
-        cvx *= 0.94; cvy *= 0.94
-        offsetRef.current.x += cvx
-        offsetRef.current.y += cvy
-        // update state directly in this rAF (no second scheduled frame → no stutter)
-        setOffset({ x: offsetRef.current.x, y: offsetRef.current.y })
-        if (Math.hypot(cvx, cvy) > 0.25) inertiaRef.current = requestAnimationFrame(step)
-      }
-      inertiaRef.current = requestAnimationFrame(step)
+      velocity.current = { x: vx, y: vy }
+      glide()
     }
   }
 
-  const selectPhoto = (photo: WallPhoto, index: number) => {
-    if (drag.current.moved > 6) return // it was a pan, not a tap
+  // The open photo lives in the URL (/photos/japan/07, filters kept), so Back
+  // closes it and a link opens straight to it. Taps and Escape only change the
+  // URL; the effect below runs the open/close animation to match.
+  const { slug, frame } = useParams<{ slug?: string; frame?: string }>()
+  const target = useMemo(() => {
+    const i = parseFrame(frame)
+    return slug && i !== null ? { slug, frame: i } : null
+  }, [slug, frame])
+  const pushed = useRef(false)
+
+  // the tile a photo was opened or stepped to from, picked up by show()
+  const nextSpot = useRef<{ src: string; spot: Spot } | null>(null)
+  const selectPhoto = (e: React.MouseEvent<HTMLElement>, photo: WallPhoto, spot?: Spot) => {
+    opener.current = e.currentTarget
+    nextSpot.current = spot ? { src: photo.src, spot } : null
+    pushed.current = true
+    navigate('/photos' + photoPath(photo.slug, photo.frame) + search, false, false)
+  }
+
+  // Previous / next replace the URL (Back still closes the detail in one go):
+  // through the open photo's trip in its own order, or along the wall's row.
+  const step = (dir: 1 | -1) => {
+    if (!selected) return
+    const { photo, spot } = selected
+    let to: WallPhoto | undefined
+    if (stepBy === 'wall' && spot) {
+      const k = spot.k + dir
+      const next = { r: spot.r, pi: spot.pi + Math.floor(k / PERIOD), k: mod(k, PERIOD) }
+      to = rowLayout(next.r).seq[next.k].photo
+      nextSpot.current = { src: to.src, spot: next }
+    } else {
+      const images = getEntry(photo.slug)?.images ?? []
+      if (images.length < 2) return
+      const frame = mod(photo.frame + dir, images.length)
+      to = { ...photo, frame, src: images[frame].src }
+      nextSpot.current = null
+    }
+    // the opener may pan out of the DOM; focus the tile that ends up centred instead
+    if (opener.current && wallRef.current?.contains(opener.current)) {
+      opener.current = null
+      roving.current = true
+    }
+    navigate('/photos' + photoPath(to.slug, to.frame) + search, true, false)
+  }
+  const close = () => {
+    if (pushed.current) {
+      pushed.current = false
+      window.history.back()
+    } else navigate('/photos' + search, true, false)
+  }
+
+  const show = (photo: WallPhoto, index: number) => {
     stopInertia()
+    const spot = nextSpot.current?.src === photo.src ? nextSpot.current.spot : locate(index)
+    nextSpot.current = null
     setClosing(false)
-    setSelected({ photo, index })
+    setSelected({ photo, index, spot })
+    // stepping while open: line the wall up behind so closing lands on this photo
+    if (open && spot) centreOn(spot)
     // one tick later so the detail mounts closed, then transitions open (rAF can be paused)
     window.setTimeout(() => setOpen(true), 20)
   }
-  const close = () => {
+  const dismiss = () => {
     setOpen(false)
     setClosing(true) // keep the transform transition on so tiles animate back
+    if (opener.current?.isConnected) opener.current.focus({ preventScroll: true })
+    opener.current = null
     window.setTimeout(() => { setSelected(null); setClosing(false) }, 550)
   }
 
-  // ---- visible tiles: fixed-height rows, natural widths, infinite in both axes ----
-  // MARGIN over-renders past the edges so fisheye-displaced tiles still cover the rim
-  const MARGIN = lens ? 180 : 20
-  const tiles = []
-  const r0 = Math.floor((-offset.y - MARGIN) / ROW_STRIDE) - 1
-  const r1 = Math.floor((-offset.y + vp.h + MARGIN) / ROW_STRIDE) + 1
-
-  for (let r = r0; r <= r1; r++) {
-    const screenY = r * ROW_STRIDE + offset.y
-    if (screenY > vp.h + MARGIN || screenY + ROW_H < -MARGIN) continue
-
-    // this row's repeating photo sequence + cumulative widths (period)
-    const seq: { photo: (typeof ALL_PHOTOS)[number]; index: number; w: number }[] = []
-    const cum = [0]
-    for (let k = 0; k < PERIOD; k++) {
-      const index = photoAt(r, k)
-      const photo = ALL_PHOTOS[index]
-      const ar = Math.min(2.4, Math.max(0.55, photo.ratio)) // clamp extremes for layout sanity
-      const w = Math.round(ROW_H * ar)
-      seq.push({ photo, index, w })
-      cum.push(cum[k] + w + GAP)
+  useEffect(() => {
+    if (open) closeRef.current?.focus({ preventScroll: true })
+  }, [open])
+
+  useEffect(() => {
+    if (!hydrated) return
+    if (!target) {
+      if (selected && open) dismiss()
+      return
     }
-    const P = cum[PERIOD] // period width incl. trailing gap
-
-    const leftWorld = -offset.x
-    const startPeriod = Math.floor((leftWorld - MARGIN) / P)
-    for (let pi = startPeriod; ; pi++) {
-      const screenBase = pi * P + offset.x
-      if (screenBase > vp.w + MARGIN) break
-      for (let k = 0; k < PERIOD; k++) {
-        const screenX = screenBase + cum[k]
-        const { photo, index, w } = seq[k]
-        if (screenX > vp.w + MARGIN) break
-        if (screenX + w < -MARGIN) continue
-        const bx = screenX + w / 2 - vp.w / 2
-        const by = screenY + ROW_H / 2 - vp.h / 2
-        // Fisheye: point-focus scale + per-axis integral push (rows bow locally,
-        // spread tapers away from centre, cells still tile → no overlap).
-        let px = 0, py = 0, s = 1, z = 1
-        if (lens) {
-          const Rx = focusR * 1.2
-          const Ry = focusR
-          const hx = hAxis(bx, Rx)
-          const hy = hAxis(by, Ry)
-          s = 1 + B * Math.min(hx, hy)
-          px = pushAxis(bx, Rx, hy) // horizontal push, vertical proximity fixed
-          py = pushAxis(by, Ry, hx) // vertical push, horizontal proximity fixed
-          z = Math.round(s * 1000)
+    // match on src: a photo shared by two entries sits on the wall once
+    const src = getEntry(target.slug)?.images?.[target.frame]?.src
+    if (!src) { navigate('/photos' + search, true, false); return }
+    if (selected?.photo.src === src) return
+    const index = photos.findIndex((p) => p.src === src)
+    const photo = photos[index] ?? ALL_PHOTOS.find((p) => p.src === src)
+    if (photo) show(photo, index)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hydrated, target, photos])
+
+  // ---- the wall: fixed-height rows, natural widths, infinite in both axes ----
+  // Panning never re-renders. React renders a pool of empty tile elements; each
+  // frame paint() works out which tiles are on screen, keeps the ones that stay
+  // in the element they already have, hands freed elements to newcomers (only
+  // then touching their image), and moves everything with one transform apiece.
+  // Re-renders (resize, filters, open / close) just repaint.
+  const [poolSize, setPoolSize] = useState(0)
+  const slots = useRef<(HTMLButtonElement | null)[]>([])
+  const shown = useRef<(Tile | null)[]>([]) // per slot
+  const slotByKey = useRef(new Map<string, number>()) // tile key → slot
+  const centreRef = useRef<{ key: string; photo: WallPhoto } | null>(null)
+  const announceTimer = useRef(0)
+  const stats = useRef({ tiles: 0, ms: 0 })
+  const [announce, setAnnounce] = useState('')
+
+  // point a pooled element at a new photo: placeholder behind, image faded in on load
+  const fill = (el: HTMLButtonElement, tile: Tile) => {
+    const { photo, w } = tile
+    const ph = placeholderOf(photo.src)
+    el.style.backgroundColor = ph?.color ?? ''
+    el.style.backgroundImage = ph ? `url("${ph.lqip}")` : ''
+    el.setAttribute('aria-label', `Photograph from ${photo.title}`)
+    const img = el.querySelector('img')!
+    const set = sources(photo.src)
+    el.querySelectorAll('source').forEach((source) => {
+      const s = set.find((x) => x.type === source.type)
+      if (s) source.srcset = s.srcSet
+      else source.removeAttribute('srcset')
+      source.sizes = `${w}px`
+    })
+    const jpg = imgSrcSet(photo.src)
+    if (jpg) img.srcset = jpg
+    else img.removeAttribute('srcset')
+    img.sizes = `${w}px`
+    img.src = photo.thumb
+    img.classList.toggle('pending', !img.complete)
+  }
+
+  const paint = () => {
+    const t0 = performance.now()
+    const offset = offsetRef.current
+    // MARGIN over-renders past the edges so fisheye-displaced tiles still cover the rim
+    const MARGIN = lens ? 180 : 20
+    const visible: (Tile & { x: number; y: number; bx: number; by: number })[] = []
+    let centre: { key: string; photo: WallPhoto; d: number } | null = null
+    const r0 = Math.floor((-offset.y - MARGIN) / ROW_STRIDE) - 1
+    const r1 = Math.floor((-offset.y + vp.h + MARGIN) / ROW_STRIDE) + 1
+
+    for (let r = r0; hydrated && !listView && nPhotos > 0 && r <= r1; r++) {
+      const screenY = r * ROW_STRIDE + offset.y
+      if (screenY > vp.h + MARGIN || screenY + ROW_H < -MARGIN) continue
+      const { seq, cum, P } = rowLayout(r)
+      const startPeriod = Math.floor((-offset.x - MARGIN) / P)
+      for (let pi = startPeriod; ; pi++) {
+        const screenBase = pi * P + offset.x
+        if (screenBase > vp.w + MARGIN) break
+        for (let k = 0; k < PERIOD; k++) {
+          const screenX = screenBase + cum[k]
+          const { photo, w } = seq[k]
+          if (screenX > vp.w + MARGIN) break
+          if (screenX + w < -MARGIN) continue
+          const bx = screenX + w / 2 - vp.w / 2
+          const by = screenY + ROW_H / 2 - vp.h / 2
+          const key = `${r}:${pi}:${k}`
+          const d = Math.hypot(bx, by)
+          if (!centre || d < centre.d) centre = { key, photo, d }
+          visible.push({ key, photo, spot: { r, pi, k }, w, x: screenX, y: screenY, bx, by })
         }
-        // Position + fisheye are one GPU transform (sub-pixel smooth, no reflow).
-        const browseT = `translate3d(${(screenX + px).toFixed(2)}px, ${(screenY + py).toFixed(2)}px, 0) scale(${s.toFixed(3)})`
-        const blastT = `translate3d(${(screenX + bx * 1.9).toFixed(1)}px, ${(screenY + by * 1.9).toFixed(1)}px, 0) scale(0.45)`
-        tiles.push(
-          <button
-            key={`${r}:${pi}:${k}`}
-            className={styles.tile}
-            style={{
-              left: 0,
-              top: 0,
-              width: w,
-              height: ROW_H,
-              transform: open ? blastT : browseT,
-              opacity: open ? 0 : 1,
-              zIndex: open ? undefined : z,
-              // transition ONLY while the blast opens/closes; panning is transition-free
-              // (instant transform tracking) so slow movement doesn't stutter
-              transition: open || closing ? 'transform 0.55s cubic-bezier(0.2,0.7,0.2,1), opacity 0.5s ease' : 'none',
-            }}
-            onClick={() => selectPhoto(photo, index)}
-            tabIndex={-1}
-            aria-label={`Photograph from ${photo.title}`}
-          >
-            <img src={photo.thumb} alt="" draggable={false} loading="lazy" decoding="async"
-              onError={(e) => { (e.currentTarget as HTMLImageElement).src = photo.src }} />
-          </button>,
-        )
       }
     }
+
+    // grow the pool (rare: first paint, a bigger window); the re-render repaints
+    if (visible.length > poolSize) {
+      setPoolSize(Math.ceil(visible.length * 1.2))
+      return
+    }
+
+    // tiles still on screen keep their element; the rest are free for newcomers
+    const next = new Map<string, number>()
+    const taken = new Set<number>()
+    for (const t of visible) {
+      const i = slotByKey.current.get(t.key)
+      if (i !== undefined && slots.current[i]) { next.set(t.key, i); taken.add(i) }
+    }
+    const free = slots.current.flatMap((el, i) => (el && !taken.has(i) ? [i] : []))
+    const transition = open || closing ? 'transform 0.55s cubic-bezier(0.2,0.7,0.2,1), opacity 0.5s ease' : 'none'
+    const centreKey = open ? null : centre?.key ?? null
+
+    for (const t of visible) {
+      let i = next.get(t.key)
+      const fresh = i === undefined
+      if (fresh) {
+        i = free.pop()!
+        next.set(t.key, i)
+      }
+      const el = slots.current[i!]!
+      if (fresh) {
+        fill(el, t)
+        el.hidden = false
+      }
+      shown.current[i!] = t
+      // Fisheye: point-focus scale + per-axis integral push (rows bow locally,
+      // spread tapers away from centre, cells still tile → no overlap).
+      const { px, py, s } = lens ? fisheye(t.bx, t.by, focusR) : { px: 0, py: 0, s: 1 }
+      // Position + fisheye are one GPU transform (sub-pixel smooth, no reflow).
+      const style = el.style
+      style.width = `${t.w}px`
+      style.height = `${ROW_H}px`
+      style.transform = open
+        ? `translate3d(${(t.x + t.bx * 1.9).toFixed(1)}px, ${(t.y + t.by * 1.9).toFixed(1)}px, 0) scale(0.45)`
+        : `translate3d(${(t.x + px).toFixed(2)}px, ${(t.y + py).toFixed(2)}px, 0) scale(${s.toFixed(3)})`
+      style.opacity = open ? '0' : '1'
+      style.zIndex = open ? '' : String(lens ? Math.round(s * 1000) : 1)
+      // transition ONLY while the blast opens/closes; panning is transition-free
+      // (instant transform tracking) so slow movement doesn't stutter
+      style.transition = transition
+      el.tabIndex = t.key === centreKey ? 0 : -1
+    }
+    for (const i of free) {
+      const el = slots.current[i]!
+      el.hidden = true
+      el.tabIndex = -1
+      shown.current[i] = null
+    }
+    slotByKey.current = next
+
+    // the tile under the lens is the wall's one tab stop, and keeps focus as it
+    // changes; its photo is announced once the wall settles, not every tile it passes
+    if (centre && centre.key !== centreRef.current?.key) {
+      const el = slots.current[next.get(centre.key)!]
+      if (el && roving.current && !open && document.activeElement !== el) el.focus({ preventScroll: true })
+      if (centre.photo !== centreRef.current?.photo && roving.current && !open) {
+        const photo = centre.photo
+        window.clearTimeout(announceTimer.current)
+        announceTimer.current = window.setTimeout(() => setAnnounce(describe(photo)), 400)
+      }
+    }
+    centreRef.current = centre && !open ? centre : null
+    stats.current = { tiles: visible.length, ms: performance.now() - t0 }
   }
+  paintRef.current = paint
+  // new rows (filters, row height) can put a different photo behind the same key
+  useEffect(() => { slotByKey.current = new Map() }, [rowLayout])
+  useEffect(() => paint())
+  useEffect(() => () => window.clearTimeout(announceTimer.current), [])
+  const fpsDetail = useCallback(
+    () => `${stats.current.tiles} tiles / ${slots.current.length} pooled · paint ${stats.current.ms.toFixed(1)}ms`,
+    [],
+  )
+
+  const tiles = Array.from({ length: poolSize }, (_, i) => (
+    <button
+      key={i}
+      ref={(el) => { slots.current[i] = el }}
+      className={styles.tile}
+      hidden
+      tabIndex={-1}
+      onClick={(e) => {
+        const t = shown.current[i]
+        if (e.detail > 0 && drag.current.moved > 6) return // it was a pan, not a tap (Enter has no detail)
+        if (t) selectPhoto(e, t.photo, t.spot)
+      }}
+    >
+      <picture>
+        <source type="image/avif" />
+        <source type="image/webp" />
+        <img alt="" draggable={false} loading="lazy" decoding="async"
+          onLoad={(e) => e.currentTarget.classList.remove('pending')}
+          onError={(e) => {
+            const img = e.currentTarget
+            img.classList.remove('pending')
+            // no thumbnail yet: fall back to the full-size file
+            const t = shown.current[i]
+            if (t && img.getAttribute('src') !== t.photo.src) img.src = t.photo.src
+          }} />
+      </picture>
+    </button>
+  ))
 
   const sel = selected
+  const tripLength = sel ? getEntry(sel.photo.slug)?.images?.length ?? 0 : 0
+  const byWall = stepBy === 'wall' && !!sel?.spot
+  const canStep = byWall || tripLength > 1
 
   return (
     <div className={styles.page}>
       <div
         ref={wallRef}
         className={`${styles.wall} ${open ? styles.wallBlasted : ''}`}
+        role="group"
+        aria-label="Photo wall — arrow keys pan, Enter opens the photo in the centre"
+        aria-hidden={listView || open || undefined}
         onPointerDown={onPointerDown}
         onPointerMove={onPointerMove}
         onPointerUp={onPointerUp}
         onPointerCancel={onPointerUp}
+        onFocus={() => { roving.current = true }}
+        onBlur={(e) => {
+          // a tile panning out of the DOM blurs to nothing; only leaving the wall counts
+          if (e.relatedTarget && !e.currentTarget.contains(e.relatedTarget as Node)) roving.current = false
+        }}
       >
         {tiles}
       </div>
+      {import.meta.env.DEV && hydrated && <FpsMeter detail={fpsDetail} />}
+      <p className={styles.srOnly} aria-live="polite">{announce}</p>
+
+      {hydrated && listView && (
+        <ol className={styles.list} aria-label="Photographs">
+          {photos.map((photo) => (
+            <li key={photo.src}>
+              <button type="button" className={styles.listItem} onClick={(e) => selectPhoto(e, photo)}>
+                <Picture src={photo.src} fallback={photo.thumb} sizes="160px" alt="" loading="lazy" decoding="async"
+                  style={placeholderStyle(photo.src)} />
+                <span className={styles.listText}>
+                  <span className={styles.listTitle}>{photo.title}</span>
+                  <span>{[photo.location, formatDate(photo.date)].filter(Boolean).join(' · ')}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {hydrated && !sel && (
+        <div className={styles.filterBar}>
+          {filtersOpen && (
+            <div id="wall-filters" className={styles.facets} role="group" aria-label="Filter photos">
+              {FACETS.filter(({ key }) => options[key].length > 1 || filter[key]?.length).map(({ key, label }) => (
+                <div key={key} className={styles.facet}>
+                  <span className={styles.facetLabel}>{label}</span>
+                  <div className={styles.chips}>
+                    {options[key].map((o) => {
+                      const on = filter[key]?.includes(o.value) ?? false
+                      return (
+                        <button
+                          key={o.value}
+                          type="button"
+                          className={`${styles.chip} ${on ? styles.chipOn : ''}`}
+                          aria-pressed={on}
+                          disabled={!on && o.count === 0}
+                          onClick={() => toggle(key, o.value)}
+                        >
+                          {o.label} <span className={styles.chipCount}>{o.count}</span>
+                        </button>
+                      )
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className={styles.filter}>
+            <button
+              type="button"
+              className={styles.filterToggle}
+              aria-expanded={filtersOpen}
+              aria-controls="wall-filters"
+              onClick={() => setFiltersOpen((v) => !v)}
+            >
+              {filtered ? summary : 'Filter'}
+            </button>
+            <span className={styles.filterCount}>{nPhotos} photo{nPhotos === 1 ? '' : 's'}</span>
+            <button type="button" className={styles.viewToggle} aria-pressed={listView} onClick={() => setListView((v) => !v)}>
+              List
+            </button>
+            {filtered && (
+              <button type="button" className={styles.filterClear} onClick={() => setFilter({})} aria-label="Show all photos">✕</button>
+            )}
+          </div>
+        </div>
+      )}
 
+      {hydrated && nPhotos === 0 && <p className={styles.empty}>No photos match these filters.</p>}
 
       {sel && (
-        <div className={`${styles.detail} ${open ? styles.detailOpen : ''}`} onClick={close}>
-          <button type="button" className={styles.close} onClick={close} aria-label="Close photo">
+        <div
+          className={`${styles.detail} ${open ? styles.detailOpen : ''}`}
+          onClick={() => {
+            if (swipe.current.swiped) swipe.current.swiped = false
+            else close()
+          }}
+          onPointerDown={(e) => { swipe.current = { x: e.clientX, y: e.clientY, swiped: false } }}
+          onPointerUp={(e) => {
+            const dx = e.clientX - swipe.current.x
+            const dy = e.clientY - swipe.current.y
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+              swipe.current.swiped = true
+              step(dx < 0 ? 1 : -1)
+            }
+          }}
+        >
+          <button ref={closeRef} type="button" className={styles.close} onClick={close} aria-label="Close photo">
             <svg viewBox="0 0 24 24" width="22" height="22" aria-hidden="true">
               <path d="M5 5 L19 19 M19 5 L5 19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" />
             </svg>
           </button>
+          {canStep && (
+            <>
+              <button type="button" className={`${styles.step} ${styles.stepPrev}`} onClick={(e) => { e.stopPropagation(); step(-1) }} aria-label="Previous photo">
+                <svg viewBox="0 0 24 24" width="22" height="22" aria-hidden="true">
+                  <path d="M15 5 L8 12 L15 19" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
+                </svg>
+              </button>
+              <button type="button" className={`${styles.step} ${styles.stepNext}`} onClick={(e) => { e.stopPropagation(); step(1) }} aria-label="Next photo">
+                <svg viewBox="0 0 24 24" width="22" height="22" aria-hidden="true">
+                  <path d="M9 5 L16 12 L9 19" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
+                </svg>
+              </button>
+            </>
+          )}
           <figure className={styles.detailFig}>
-            <img className={styles.detailImg} src={sel.photo.src} alt={`Photograph from ${sel.photo.title}`} />
+            <Picture className={styles.detailImg} src={sel.photo.src} sizes="90vw" alt={`Photograph from ${sel.photo.title}`} />
             <figcaption className={styles.meta}>
               <span className={styles.metaLine}>
                 {[sel.photo.location || sel.photo.title, formatDate(sel.photo.date)].filter(Boolean).join(' · ')}
-                {`  ·  ${String(sel.index + 1).padStart(2, '0')} / ${String(N_PHOTOS).padStart(2, '0')}`}
+                {byWall
+                  ? sel.index >= 0 && `  ·  ${pad(sel.index + 1)} / ${pad(nPhotos)}`
+                  : `  ·  ${pad(sel.photo.frame + 1)} / ${pad(tripLength)}`}
               </span>
               <h2 className={styles.metaTitle}>{sel.photo.title}</h2>
-              <Link to={`/${sel.photo.slug}`} className={styles.metaLink} onClick={(e) => e.stopPropagation()}>
-                View {sel.photo.title} gallery →
-              </Link>
+              {sel.photo.exif && <span className={styles.metaTech}>{technicalLine(sel.photo.exif)}</span>}
+              <span className={styles.metaActions}>
+                <Link to={`/${sel.photo.slug}`} className={styles.metaLink} onClick={(e) => e.stopPropagation()}>
+                  View {sel.photo.title} gallery →
+                </Link>
+                <ShareButton className={styles.metaLink} title={`${sel.photo.title} · ${pad(sel.photo.frame + 1)}`} />
+              </span>
+              <span className={styles.stepBy} role="group" aria-label="Previous and next go through">
+                {(['trip', 'wall'] as const).map((by) => (
+                  <button
+                    key={by}
+                    type="button"
+                    className={`${styles.chip} ${stepBy === by ? styles.chipOn : ''}`}
+                    aria-pressed={stepBy === by}
+                    disabled={by === 'wall' && !sel.spot}
+                    onClick={(e) => { e.stopPropagation(); setStepBy(by) }}
+                  >
+                    {by === 'trip' ? 'This trip' : 'The wall'}
+                  </button>
+                ))}
+              </span>
             </figcaption>
           </figure>
         </div>
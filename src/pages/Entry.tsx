@@ -5,10 +5,9 @@ import Gallery from '../templates/Gallery'
 import Video from '../templates/Video'
 import Article from '../templates/Article'
 import ToolCaseStudy from '../templates/ToolCaseStudy'
+import EntryEnd from '../templates/EntryEnd'
 
-export default function Entry({ entry }: { entry: EntryT }) {
-  useDocMeta(`${entry.title} — Harry Stanyer`, entry.excerpt)
-
+function Template({ entry }: { entry: EntryT }) {
   switch (entry.template) {
     case 'photo-essay':
       return <PhotoEssay entry={entry} />
@@ -23,3 +22,14 @@ export default function Entry({ entry }: { entry: EntryT }) {
       return <Article entry={entry} />
   }
 }
+
+export default function Entry({ entry }: { entry: EntryT }) {
+  useDocMeta(`${entry.title} — Harry Stanyer`, entry.excerpt)
+
+  return (
+    <>
+      <Template entry={entry} />
+      <EntryEnd entry={entry} />
+    </>
+  )
+}
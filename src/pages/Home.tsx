@@ -1,5 +1,5 @@
 import { useDocMeta } from '../lib/hooks'
-import { ENTRIES, featured, byType } from '../lib/content'
+import { ENTRIES, featured, byType, getSeries, tagSlug } from '../lib/content'
 import type { Entry, EntryType } from '../lib/types'
 import { home, type Block } from '../lib/home'
 import Hero from '../components/home/Hero'
@@ -17,10 +17,11 @@ import {
 } from '../components/home/Sections'
 
 // resolve an entry source keyword to a list of entries
-function pickEntries(source: Block['source'], limit?: number): Entry[] {
+function pickEntries(source: Block['source'], limit?: number, series?: string): Entry[] {
   let list: Entry[]
   if (source === 'all' || !source) list = ENTRIES
   else if (source === 'featured') list = featured().length ? featured() : ENTRIES
+  else if (source === 'series') list = getSeries(tagSlug(series ?? ''))?.entries ?? []
   else list = byType(source as EntryType)
   return typeof limit === 'number' ? list.slice(0, limit) : list
 }
@@ -57,7 +58,7 @@ function renderBlock(b: Block, i: number) {
       return (
         <PosterGrid
           key={i}
-          entries={pickEntries(b.source, b.limit)}
+          entries={pickEntries(b.source, b.limit, b.series)}
           title={b.title ?? 'Selected'}
           label={b.label}
           href={b.href}
@@ -81,7 +82,7 @@ function renderBlock(b: Block, i: number) {
     case 'triple':
       return <TripleStrip key={i} images={b.images ?? []} />
     case 'index': {
-      const entries = pickEntries(b.source)
+      const entries = pickEntries(b.source, undefined, b.series)
       return (
         <section key={i} style={{ marginTop: 'clamp(2rem, 6vw, 4rem)' }}>
           <SectionHeading
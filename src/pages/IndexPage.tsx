@@ -1,14 +1,19 @@
+import type { ReactNode } from 'react'
 import { useDocMeta } from '../lib/hooks'
-import { byType } from '../lib/content'
-import type { EntryType } from '../lib/types'
+import type { Entry } from '../lib/types'
 import EntryCard from '../components/EntryCard'
 import styles from './IndexPage.module.css'
 
-interface Props { type: EntryType; title: string; blurb: string }
+interface Props {
+  entries: Entry[]
+  title: string
+  blurb: string
+  /** extra header content under the blurb (e.g. a tag page's links) */
+  children?: ReactNode
+}
 
-export default function IndexPage({ type, title, blurb }: Props) {
+export default function IndexPage({ entries, title, blurb, children }: Props) {
   useDocMeta(`${title} — Harry Stanyer`, blurb)
-  const entries = byType(type)
 
   return (
     <div className="container">
@@ -16,6 +21,7 @@ export default function IndexPage({ type, title, blurb }: Props) {
         <p className="eyebrow">Index · {String(entries.length).padStart(2, '0')} entries</p>
         <h1 className={styles.title}>{title}</h1>
         <p className={styles.blurb}>{blurb}</p>
+        {children}
       </header>
 
       {entries.length ? (
@@ -1,14 +1,59 @@
-import { Link } from '../lib/router'
+import { useMemo } from 'react'
+import { Link, useRoute } from '../lib/router'
 import { useDocMeta } from '../lib/hooks'
+import { ENTRIES, tagSlug } from '../lib/content'
+import { editDistance } from '../lib/search'
+import { TEMPLATE_LABEL, type Entry } from '../lib/types'
 import styles from './NotFound.module.css'
 
+const decode = (s: string) => {
+  try { return decodeURIComponent(s) } catch { return s }
+}
+
+// The likeliest entries behind a mistyped link — "/japn", "/tags/budapst",
+// "/hanoi-2024/03" — by edit distance to each slug and title.
+function suggestions(path: string, n = 3): Entry[] {
+  const wanted = path
+    .split('/')
+    .map((s) => tagSlug(decode(s)))
+    .find((s) => s && !/^\d+$/.test(s) && s !== 'tags' && s !== 'photos' && s !== 'series')
+  if (!wanted) return []
+  const max = Math.max(2, Math.floor(wanted.length / 3))
+  const score = (e: Entry) => {
+    const prefix = wanted.length >= 3 && (e.slug.startsWith(wanted) || wanted.startsWith(e.slug))
+    return Math.min(prefix ? 1 : max + 1, editDistance(wanted, e.slug, max), editDistance(wanted, tagSlug(e.title), max))
+  }
+  return ENTRIES.map((e) => ({ e, d: score(e) }))
+    .filter((x) => x.d <= max)
+    .sort((a, b) => a.d - b.d)
+    .slice(0, n)
+    .map((x) => x.e)
+}
+
 export default function NotFound() {
   useDocMeta('Not found — Harry Stanyer')
+  const path = useRoute()
+  const near = useMemo(() => suggestions(path), [path])
   return (
     <div className={`container ${styles.wrap}`}>
       <p className="eyebrow">Error 404</p>
       <h1 className={styles.big}>This page went off the map.</h1>
       <p className={styles.sub}>The link may be broken, or the page may have moved.</p>
+      {near.length > 0 && (
+        <div className={styles.near}>
+          <p className={styles.nearLabel}>Were you looking for</p>
+          <ul>
+            {near.map((e) => (
+              <li key={e.slug}>
+                <Link to={`/${e.slug}`} className={styles.nearLink}>
+                  <span>{e.title}</span>
+                  <span className={styles.nearMeta}>{TEMPLATE_LABEL[e.template]}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       <Link to="/" className={styles.home}>← Back home</Link>
     </div>
   )
@@ -0,0 +1,58 @@
+import { Link, useParams } from '../lib/router'
+import { useDocMeta } from '../lib/hooks'
+import { getSeries, type Series as SeriesT } from '../lib/content'
+import { filterSearch } from '../lib/photos'
+import { formatDateRange } from '../templates/Masthead'
+import EntryCard from '../components/EntryCard'
+import Img from '../components/Img'
+import NotFound from './NotFound'
+import styles from './Series.module.css'
+
+const pad = (n: number) => String(n).padStart(2, '0')
+
+/** /series/:name — a run of entries: their covers together, the totals, then each part in order. */
+export default function Series() {
+  const { name } = useParams<{ name: string }>()
+  const series = getSeries(name)
+  return series ? <Overview series={series} /> : <NotFound />
+}
+
+function Overview({ series }: { series: SeriesT }) {
+  const { name, entries, photos } = series
+  const dates = entries.flatMap((e) => [e.date, e.dateEnd ?? '']).filter(Boolean).sort()
+  const span = dates.length ? formatDateRange(dates[0], dates[dates.length - 1]) : ''
+  const blurb = `${entries.length} part${entries.length === 1 ? '' : 's'}${span ? `, ${span}` : ''}.`
+  useDocMeta(`${name} — Harry Stanyer`, `${name}: ${blurb}`)
+
+  const covers = entries.filter((e) => e.cover).slice(0, 6)
+  const trips = entries.filter((e) => e.images?.length).map((e) => e.slug)
+
+  return (
+    <div className="container">
+      <header className={styles.head}>
+        <p className="eyebrow">Series · {pad(entries.length)} parts · {photos} photos</p>
+        <h1 className={styles.title}>{name}</h1>
+        <p className={styles.blurb}>{blurb}</p>
+        {photos > 0 && (
+          <p className={styles.links}>
+            <Link to={`/photos${filterSearch({ trip: trips })}`}>See all {photos} photos on the wall →</Link>
+          </p>
+        )}
+      </header>
+
+      {covers.length > 1 && (
+        <div className={styles.mosaic} style={{ ['--n' as string]: covers.length }} aria-hidden="true">
+          {covers.map((e, i) => (
+            <Img key={e.slug} src={e.cover!} alt="" ratio="3/4" priority={i < 3} sizes={`${Math.ceil(100 / covers.length)}vw`} />
+          ))}
+        </div>
+      )}
+
+      <div className={styles.grid}>
+        {entries.map((e, i) => (
+          <EntryCard key={e.slug} entry={e} index={i} />
+        ))}
+      </div>
+    </div>
+  )
+}
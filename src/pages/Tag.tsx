@@ -0,0 +1,23 @@
+import { Link, useParams } from '../lib/router'
+import { allTags, byTag } from '../lib/content'
+import { filterSearch, photosTagged } from '../lib/photos'
+import IndexPage from './IndexPage'
+import NotFound from './NotFound'
+import styles from './Tags.module.css'
+
+/** /tags/:tag — every entry carrying one tag, as a regular index. */
+export default function Tag() {
+  const { tag: slug } = useParams<{ tag: string }>()
+  const tag = allTags().find((t) => t.slug === slug)
+  if (!tag) return <NotFound />
+  const photos = photosTagged(slug).length
+
+  return (
+    <IndexPage entries={byTag(slug)} title={`#${tag.tag}`} blurb={`Everything tagged “${tag.tag}”.`}>
+      <p className={styles.links}>
+        <Link to="/tags">← All tags</Link>
+        {photos > 0 && <Link to={`/photos${filterSearch({ tag: [slug] })}`}>See {photos} photo{photos === 1 ? '' : 's'} on the wall →</Link>}
+      </p>
+    </IndexPage>
+  )
+}
@@ -0,0 +1,34 @@
+import { Link } from '../lib/router'
+import { useDocMeta } from '../lib/hooks'
+import { allTags } from '../lib/content'
+import styles from './Tags.module.css'
+
+export default function Tags() {
+  useDocMeta('Tags — Harry Stanyer', 'Every subject, place and technique, by tag.')
+  const tags = allTags()
+
+  return (
+    <div className="container">
+      <header className={styles.head}>
+        <p className="eyebrow">Index · {String(tags.length).padStart(2, '0')} tags</p>
+        <h1 className={styles.title}>Tags</h1>
+        <p className={styles.blurb}>Every subject, place and technique, by tag.</p>
+      </header>
+
+      {tags.length ? (
+        <ul className={styles.list}>
+          {tags.map((t) => (
+            <li key={t.slug}>
+              <Link to={`/tags/${t.slug}`} className={styles.tag}>
+                <span>#{t.tag}</span>
+                <span className={styles.count}>{String(t.count).padStart(2, '0')}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.empty}>Nothing tagged yet — check back soon.</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,245 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link } from '../lib/router'
+import { useDocMeta } from '../lib/hooks'
+import { formatDateRange } from '../templates/Masthead'
+import { PLACES, MAP_W, MAP_H, project, type Place } from '../lib/geo'
+import { photoPath, thumbOf } from '../lib/photos'
+import styles from './TripMap.module.css'
+
+// The outlines are ~80KB of path data and only this page needs them.
+let landPromise: Promise<string> | null = null
+const loadLand = () => (landPromise ??= import('../lib/world-map.json').then((m) => m.default.land))
+
+interface View { x: number; y: number; w: number }
+const FULL: View = { x: 0, y: 0, w: MAP_W }
+const MIN_W = MAP_W / 24 // deepest zoom
+const CLUSTER_PX = 28 // markers closer than this on screen merge
+const STRIP_MAX = 12
+
+interface Cluster { x: number; y: number; places: Place[] }
+
+function clamp(v: View): View {
+  const w = Math.min(MAP_W, Math.max(MIN_W, v.w))
+  const h = (w * MAP_H) / MAP_W
+  return { w, x: Math.min(MAP_W - w, Math.max(0, v.x)), y: Math.min(MAP_H - h, Math.max(0, v.y)) }
+}
+
+// Greedy: each place joins the first cluster within `r` (map units) of it.
+function clusterPlaces(r: number): Cluster[] {
+  const out: Cluster[] = []
+  for (const p of PLACES) {
+    const [x, y] = project(p.at)
+    const near = out.find((c) => Math.hypot(c.x - x, c.y - y) < r)
+    if (!near) { out.push({ x, y, places: [p] }); continue }
+    near.places.push(p)
+    const n = near.places.length
+    near.x += (x - near.x) / n
+    near.y += (y - near.y) / n
+  }
+  return out
+}
+
+// Date-ordered route as gentle arcs, so back-and-forth legs don't overlap.
+function routePath(): string {
+  const pts = PLACES.map((p) => project(p.at))
+  return pts
+    .map(([x, y], i) => {
+      if (i === 0) return `M${x} ${y}`
+      const [px, py] = pts[i - 1]
+      const cx = (px + x) / 2 - (y - py) * 0.15
+      const cy = (py + y) / 2 + (x - px) * 0.15
+      return `Q${cx} ${cy} ${x} ${y}`
+    })
+    .join('')
+}
+
+const linkTo = (p: Place, i: number) => (p.entry.template === 'gallery' ? photoPath(p.entry.slug, i) : `/${p.entry.slug}`)
+
+function Strip({ place }: { place: Place }) {
+  const e = place.entry
+  const srcs = e.images?.length ? e.images.map((im) => im.src) : e.cover ? [e.cover] : []
+  return (
+    <section className={styles.trip}>
+      <header className={styles.tripHead}>
+        <h2 className={styles.tripTitle}>{e.title}</h2>
+        <span className={styles.tripMeta}>{[e.location, formatDateRange(e.date, e.dateEnd)].filter(Boolean).join(' · ')}</span>
+        <Link to={`/${e.slug}`} className={styles.tripLink}>View {e.template === 'gallery' ? 'gallery' : 'entry'} →</Link>
+      </header>
+      {srcs.length > 0 && (
+        <ul className={styles.thumbs}>
+          {srcs.slice(0, STRIP_MAX).map((src, i) => (
+            <li key={src}>
+              <Link to={linkTo(place, i)} aria-label={`${e.title}, photo ${i + 1}`}>
+                <img src={thumbOf(src)} alt="" loading="lazy" decoding="async" />
+              </Link>
+            </li>
+          ))}
+          {srcs.length > STRIP_MAX && (
+            <li>
+              <Link to={`/${e.slug}`} className={styles.more}>+{srcs.length - STRIP_MAX}</Link>
+            </li>
+          )}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default function TripMap() {
+  useDocMeta('Map — Harry Stanyer', 'Every trip on one map, joined up in the order they happened.')
+
+  const [land, setLand] = useState<string | null>(null)
+  const [view, setView] = useState<View>(FULL)
+  const [px, setPx] = useState(MAP_W) // rendered width of the map, in CSS px
+  const [sel, setSel] = useState<Place[] | null>(null)
+  const svgRef = useRef<SVGSVGElement>(null)
+  const drag = useRef<{ x: number; y: number; view: View; moved: boolean } | null>(null)
+
+  useEffect(() => {
+    let live = true
+    loadLand().then((d) => { if (live) setLand(d) })
+    return () => { live = false }
+  }, [])
+
+  useEffect(() => {
+    const el = svgRef.current
+    if (!el) return
+    const ro = new ResizeObserver(() => setPx(el.clientWidth || MAP_W))
+    ro.observe(el)
+    return () => ro.disconnect()
+  }, [])
+
+  // map units per CSS pixel — keeps markers, labels and the cluster radius a constant on-screen size
+  const k = view.w / px
+  const clusters = useMemo(() => clusterPlaces(CLUSTER_PX * k), [k])
+  const route = useMemo(routePath, [])
+
+  const zoomAt = (mx: number, my: number, factor: number) =>
+    setView((v) => {
+      const w = Math.min(MAP_W, Math.max(MIN_W, v.w / factor))
+      const s = w / v.w
+      return clamp({ w, x: mx - (mx - v.x) * s, y: my - (my - v.y) * s })
+    })
+  const zoomCentre = (factor: number) => zoomAt(view.x + view.w / 2, view.y + (view.w * MAP_H) / MAP_W / 2, factor)
+
+  // wheel zoom has to be a non-passive listener to stop the page scrolling
+  useEffect(() => {
+    const el = svgRef.current
+    if (!el) return
+    const onWheel = (e: WheelEvent) => {
+      e.preventDefault()
+      const r = el.getBoundingClientRect()
+      setView((v) => {
+        const mx = v.x + ((e.clientX - r.left) / r.width) * v.w
+        const my = v.y + ((e.clientY - r.top) / r.height) * ((v.w * MAP_H) / MAP_W)
+        const w = Math.min(MAP_W, Math.max(MIN_W, v.w * Math.exp(e.deltaY * 0.002)))
+        const s = w / v.w
+        return clamp({ w, x: mx - (mx - v.x) * s, y: my - (my - v.y) * s })
+      })
+    }
+    el.addEventListener('wheel', onWheel, { passive: false })
+    return () => el.removeEventListener('wheel', onWheel)
+  }, [])
+
+  useEffect(() => {
+    if (!sel) return
+    const onKey = (e: KeyboardEvent) => { if (e.key === 'Escape') setSel(null) }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [sel])
+
+  const onPointerDown = (e: React.PointerEvent) => {
+    drag.current = { x: e.clientX, y: e.clientY, view, moved: false }
+  }
+  const onPointerMove = (e: React.PointerEvent) => {
+    const d = drag.current
+    if (!d) return
+    const dx = e.clientX - d.x
+    const dy = e.clientY - d.y
+    if (!d.moved && Math.hypot(dx, dy) < 4) return
+    if (!d.moved) svgRef.current?.setPointerCapture(e.pointerId)
+    d.moved = true
+    setView(clamp({ ...d.view, x: d.view.x - dx * k, y: d.view.y - dy * k }))
+  }
+  const onPointerUp = () => {
+    // let the click that follows a drag see `moved`, then forget it
+    setTimeout(() => { drag.current = null })
+  }
+
+  const choose = (c: Cluster) => {
+    if (drag.current?.moved) return
+    setSel(c.places)
+    if (c.places.length === 1) return
+    // zoom in far enough that the cluster's members separate
+    const xs = c.places.map((p) => project(p.at)[0])
+    const ys = c.places.map((p) => project(p.at)[1])
+    const span = Math.max(Math.max(...xs) - Math.min(...xs), ((Math.max(...ys) - Math.min(...ys)) * MAP_W) / MAP_H)
+    const w = Math.max(MIN_W, Math.min(view.w / 2, span * 3))
+    setView(clamp({ w, x: c.x - w / 2, y: c.y - (w * MAP_H) / MAP_W / 2 }))
+  }
+
+  const h = (view.w * MAP_H) / MAP_W
+
+  return (
+    <div className="container">
+      <header className={styles.head}>
+        <p className="eyebrow">Index · {String(PLACES.length).padStart(2, '0')} places</p>
+        <h1 className={styles.title}>Map</h1>
+        <p className={styles.blurb}>Every trip on one map, joined up in the order they happened.</p>
+      </header>
+
+      <div className={styles.frame}>
+        <svg
+          ref={svgRef}
+          className={styles.map}
+          viewBox={`${view.x} ${view.y} ${view.w} ${h}`}
+          role="group"
+          aria-label="World map of trips"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+        >
+          {land && <path className={styles.land} d={land} />}
+          <path className={styles.route} d={route} />
+          {clusters.map((c) => {
+            const one = c.places.length === 1
+            const name = one ? c.places[0].entry.title : `${c.places.length} trips: ${c.places.map((p) => p.entry.title).join(', ')}`
+            const active = sel?.some((p) => c.places.includes(p))
+            return (
+              <g
+                key={c.places.map((p) => p.entry.slug).join(' ')}
+                className={`${styles.marker} ${active ? styles.active : ''}`}
+                transform={`translate(${c.x} ${c.y})`}
+                role="button"
+                tabIndex={0}
+                aria-label={name}
+                onClick={() => choose(c)}
+                onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); choose(c) } }}
+              >
+                <circle r={(one ? 6 : 11) * k} />
+                {one ? (
+                  <text x={10 * k} y={4 * k} fontSize={11 * k} className={styles.label}>{c.places[0].entry.title}</text>
+                ) : (
+                  <text y={4 * k} fontSize={11 * k} textAnchor="middle" className={styles.count}>{c.places.length}</text>
+                )}
+              </g>
+            )
+          })}
+        </svg>
+        <div className={styles.controls}>
+          <button type="button" onClick={() => zoomCentre(2)} aria-label="Zoom in" disabled={view.w <= MIN_W}>+</button>
+          <button type="button" onClick={() => zoomCentre(0.5)} aria-label="Zoom out" disabled={view.w >= MAP_W}>−</button>
+          <button type="button" onClick={() => setView(FULL)} aria-label="Show the whole world" disabled={view.w >= MAP_W}>⤢</button>
+        </div>
+      </div>
+
+      {sel && (
+        <div className={styles.strip} aria-live="polite">
+          <button type="button" className={styles.close} onClick={() => setSel(null)} aria-label="Close">✕</button>
+          {sel.map((p) => <Strip key={p.entry.slug} place={p} />)}
+        </div>
+      )}
+    </div>
+  )
+}
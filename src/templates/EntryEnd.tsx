@@ -0,0 +1,45 @@
+import { Link } from '../lib/router'
+import { neighbours, related } from '../lib/content'
+import { TYPE_LABEL, type Entry } from '../lib/types'
+import EntryCard from '../components/EntryCard'
+import styles from './EntryEnd.module.css'
+
+/**
+ * Where an entry ends: the previous and next entry of the same type by date,
+ * then up to three related entries (see `related` in lib/content).
+ */
+export default function EntryEnd({ entry }: { entry: Entry }) {
+  const { prev, next } = neighbours(entry)
+  // the pager already links prev / next
+  const more = related(entry, 5).filter((e) => e !== prev && e !== next).slice(0, 3)
+  if (!prev && !next && !more.length) return null
+
+  return (
+    <aside className={`container ${styles.end}`} aria-label="More entries">
+      {(prev || next) && (
+        <nav className={styles.pager} aria-label={`${TYPE_LABEL[entry.type]}, by date`}>
+          {prev ? (
+            <Link to={`/${prev.slug}`} className={styles.link} rel="prev">
+              <span className={styles.dir}>← Previous</span>
+              <span className={styles.title}>{prev.title}</span>
+            </Link>
+          ) : <span />}
+          {next && (
+            <Link to={`/${next.slug}`} className={`${styles.link} ${styles.next}`} rel="next">
+              <span className={styles.dir}>Next →</span>
+              <span className={styles.title}>{next.title}</span>
+            </Link>
+          )}
+        </nav>
+      )}
+      {more.length > 0 && (
+        <section className={styles.related}>
+          <h2 className="eyebrow">Related</h2>
+          <div className={styles.grid}>
+            {more.map((e) => <EntryCard key={e.slug} entry={e} />)}
+          </div>
+        </section>
+      )}
+    </aside>
+  )
+}
@@ -1,5 +1,7 @@
-import { useState } from 'react'
+import { useRef } from 'react'
 import type { Entry } from '../lib/types'
+import { navigate, useParams } from '../lib/router'
+import { parseFrame, photoPath } from '../lib/photos'
 import Masthead from './Masthead'
 import Img from '../components/Img'
 import Lightbox from '../components/Lightbox'
@@ -7,7 +9,28 @@ import styles from './Gallery.module.css'
 
 export default function Gallery({ entry }: { entry: Entry }) {
   const images = entry.images ?? []
-  const [open, setOpen] = useState<number | null>(null)
+
+  // The open frame lives in the URL (/japan/07), so any frame can be linked to
+  // and Back closes the lightbox. Opening pushes a history entry; stepping
+  // replaces it; closing pops it again (or, on a direct visit, replaces it).
+  const frame = parseFrame(useParams<{ frame?: string }>().frame)
+  const open = frame !== null && frame < images.length ? frame : null
+  const pushed = useRef(false)
+  // focus goes back to the cell that opened the viewer (or, on a direct visit, the frame's own)
+  const cells = useRef<(HTMLButtonElement | null)[]>([])
+  const clicked = useRef<number | null>(null)
+  const show = (i: number) => {
+    pushed.current = true
+    clicked.current = i
+    navigate(photoPath(entry.slug, i), false, false)
+  }
+  const step = (i: number) => navigate(photoPath(entry.slug, i), true, false)
+  const close = () => {
+    if (pushed.current) {
+      pushed.current = false
+      window.history.back()
+    } else navigate(`/${entry.slug}`, true, false)
+  }
 
   return (
     <div className="container">
@@ -23,9 +46,10 @@ export default function Gallery({ entry }: { entry: Entry }) {
           return (
             <button
               key={im.src}
+              ref={(el) => { cells.current[i] = el }}
               className={styles.cell}
               style={{ ['--ar' as string]: ar }}
-              onClick={() => setOpen(i)}
+              onClick={() => show(i)}
               aria-label={`View image ${i + 1}${im.caption ? `: ${im.caption}` : ''}`}
             >
               <Img src={im.src} alt={im.caption ?? entry.title} sizes="(max-width: 720px) 50vw, 40vw" />
@@ -35,7 +59,15 @@ export default function Gallery({ entry }: { entry: Entry }) {
       </div>
 
       {open !== null && (
-        <Lightbox images={images} index={open} onClose={() => setOpen(null)} onIndex={setOpen} />
+        <Lightbox
+          images={images}
+          index={open}
+          onClose={close}
+          onIndex={step}
+          hideGps={entry.hideGps}
+          title={entry.title}
+          returnFocus={() => cells.current[clicked.current ?? open]}
+        />
       )}
     </div>
   )
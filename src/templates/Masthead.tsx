@@ -1,4 +1,5 @@
 import { Link } from '../lib/router'
+import { isScheduled, seriesOf, tagSlug } from '../lib/content'
 import { TEMPLATE_LABEL, TYPE_LABEL, type Entry } from '../lib/types'
 import styles from './Masthead.module.css'
 
@@ -9,23 +10,61 @@ export function formatDate(iso: string): string {
   return d.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })
 }
 
+/** "June 2026", "April – June 2026" or "December 2025 – January 2026". */
+export function formatDateRange(iso: string, end?: string): string {
+  const from = formatDate(iso)
+  const to = end ? formatDate(end) : ''
+  if (!to || to === from) return from
+  const [fm, fy] = from.split(' ')
+  const [, ty] = to.split(' ')
+  return fy === ty ? `${fm} – ${to}` : `${from} – ${to}`
+}
+
+const formatDay = (iso: string) =>
+  new Date(iso + 'T00:00:00').toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+
 const backHref: Record<Entry['type'], string> = {
   creative: '/work',
-  writing: '/',
+  writing: '/writing',
   tool: '/tools',
 }
 
 export default function Masthead({ entry, align = 'left' }: { entry: Entry; align?: 'left' | 'center' }) {
+  const series = seriesOf(entry)
+  const part = series ? series.entries.indexOf(entry) : -1
+  const [prev, next] = series ? [series.entries[part - 1], series.entries[part + 1]] : []
   return (
     <header className={`${styles.head} ${align === 'center' ? styles.center : ''}`}>
+      {/* only previews ever contain these (see PREVIEW in lib/content) */}
+      {(entry.draft || isScheduled(entry)) && (
+        <p className={styles.ribbon} role="note">
+          {entry.draft ? 'Draft — not published' : `Scheduled — publishes ${formatDay(entry.publishAt!)}`}
+        </p>
+      )}
       <Link to={backHref[entry.type]} className={styles.back}>← {TYPE_LABEL[entry.type]}</Link>
       <p className="eyebrow">
         {TEMPLATE_LABEL[entry.template]}
         {entry.location ? ` · ${entry.location}` : ''}
-        {entry.date ? ` · ${formatDate(entry.date)}` : ''}
+        {entry.date ? ` · ${formatDateRange(entry.date, entry.dateEnd)}` : ''}
       </p>
       <h1 className={styles.title}>{entry.title}</h1>
       {entry.excerpt && <p className={styles.lead}>{entry.excerpt}</p>}
+      {entry.tags && entry.tags.length > 0 && (
+        <ul className={styles.tags} aria-label="Tags">
+          {entry.tags.map((t) => (
+            <li key={t}><Link to={`/tags/${tagSlug(t)}`} className={styles.tag}>#{t}</Link></li>
+          ))}
+        </ul>
+      )}
+      {series && series.entries.length > 1 && (
+        <nav className={styles.series} aria-label={`${series.name} series`}>
+          {prev ? <Link to={`/${prev.slug}`} className={styles.step} rel="prev" aria-label={`Previous part: ${prev.title}`}>←</Link> : <span className={styles.step} />}
+          <span>
+            Part {part + 1} of {series.entries.length} · <Link to={`/series/${series.slug}`} className={styles.seriesName}>{series.name}</Link>
+          </span>
+          {next ? <Link to={`/${next.slug}`} className={styles.step} rel="next" aria-label={`Next part: ${next.title}`}>→</Link> : <span className={styles.step} />}
+        </nav>
+      )}
     </header>
   )
 }
@@ -1,24 +1,199 @@
+import { useEffect, useMemo, useRef, useState, type MouseEvent, type PointerEvent } from 'react'
+import { useQuery } from '../lib/router'
+import { formatTime, linkTimestamps, parseTime, renditions } from '../lib/video'
 import type { Entry } from '../lib/types'
 import Masthead from './Masthead'
 import styles from './Video.module.css'
 
+/** One frame of the scrubbing sheet: where it sits in the film and in the image. */
+interface Thumb { start: number; end: number; url: string; x: number; y: number; w: number; h: number }
+
+// `sprite.jpg#xywh=0,0,160,90` cues (npm run videos), resolved against the .vtt's own URL
+function thumbsOf(track: TextTrack, base: string): Thumb[] {
+  return Array.from(track.cues ?? []).flatMap((c) => {
+    const m = /^(.+)#xywh=(\d+),(\d+),(\d+),(\d+)$/.exec((c as VTTCue).text.trim())
+    if (!m) return []
+    const [x, y, w, h] = m.slice(2).map(Number)
+    return [{ start: c.startTime, end: c.endTime, url: new URL(m[1], base).href, x, y, w, h }]
+  })
+}
+
+const languageName = (lang: string) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(lang) ?? lang
+  } catch {
+    return lang
+  }
+}
+
 export default function Video({ entry }: { entry: Entry }) {
+  const videoRef = useRef<HTMLVideoElement>(null)
+  const listRef = useRef<HTMLOListElement>(null)
+  const spriteRef = useRef<HTMLTrackElement>(null)
+  const { t } = useQuery<'t'>()
+  const [now, setNow] = useState(-1) // index of the chapter playing
+  const [progress, setProgress] = useState(0) // 0–1, for the scrub bar
+  const [thumbs, setThumbs] = useState<Thumb[]>([])
+  const [hover, setHover] = useState<{ at: number; t: number } | null>(null) // pointer over the scrub bar
+
+  const sources = useMemo(() => renditions(entry.sources ?? []), [entry.sources])
+  const chapters = useMemo(
+    () =>
+      (entry.chapters ?? [])
+        .map((c) => ({ title: c.title, t: parseTime(c.at) }))
+        .filter((c) => !isNaN(c.t))
+        .sort((a, b) => a.t - b.t),
+    [entry.chapters],
+  )
+  const html = useMemo(() => linkTimestamps(entry.html), [entry.html])
+  // remote .vtt files are only readable with CORS, which the element has to ask for
+  const remote = [...(entry.tracks ?? []).map((tr) => tr.src), entry.sprite ?? ''].some((src) => /^https?:\/\//.test(src))
+  const crossOrigin = remote ? 'anonymous' : undefined
+
+  function seek(sec: number) {
+    const v = videoRef.current
+    if (!v) return
+    v.currentTime = sec
+    v.play().catch(() => {}) // blocked autoplay just leaves it paused at the spot
+    const r = v.getBoundingClientRect()
+    if (r.top < 0 || r.bottom > window.innerHeight) v.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }
+
+  // a shared `?t=135` starts there
+  useEffect(() => {
+    const v = videoRef.current
+    const start = Number(t)
+    if (!v || !t || !(start >= 0)) return
+    const go = () => { v.currentTime = start }
+    if (v.readyState >= 1) go()
+    else v.addEventListener('loadedmetadata', go, { once: true })
+    return () => v.removeEventListener('loadedmetadata', go)
+  }, [t])
+
+  // the thumbnail sheet's cues load once the (hidden) metadata track is switched on
+  useEffect(() => {
+    const el = spriteRef.current
+    if (!el || !entry.sprite) return
+    const base = new URL(entry.sprite, window.location.href).href
+    const load = () => setThumbs(thumbsOf(el.track, base))
+    el.track.mode = 'hidden'
+    if (el.readyState === 2) load()
+    el.addEventListener('load', load)
+    return () => el.removeEventListener('load', load)
+  }, [entry.sprite])
+
+  // keep the playing chapter in view when the index scrolls
+  useEffect(() => {
+    const list = listRef.current
+    const item = list?.children[now] as HTMLElement | undefined
+    if (!list || !item || list.scrollHeight <= list.clientHeight) return
+    if (item.offsetTop < list.scrollTop || item.offsetTop + item.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTo({ top: item.offsetTop - list.clientHeight / 3, behavior: 'smooth' })
+    }
+  }, [now])
+
+  const onTime = () => {
+    const v = videoRef.current
+    const at = v?.currentTime ?? 0
+    if (v?.duration) setProgress(at / v.duration)
+    let i = -1
+    while (i + 1 < chapters.length && chapters[i + 1].t <= at) i++
+    setNow(i)
+  }
+
+  // the scrub bar: hovering shows that moment's frame, a click goes there
+  const scrubAt = (e: PointerEvent | MouseEvent) => {
+    const r = e.currentTarget.getBoundingClientRect()
+    const at = Math.min(1, Math.max(0, (e.clientX - r.left) / r.width))
+    return { at, t: at * (videoRef.current?.duration || 0) }
+  }
+  const thumb = hover && thumbs.find((th) => hover.t >= th.start && hover.t < th.end)
+
+  // `[02:15]` in the write-up seeks instead of navigating
+  const onProseClick = (e: MouseEvent) => {
+    const a = (e.target as HTMLElement).closest<HTMLAnchorElement>('a[data-t]')
+    if (!a || e.metaKey || e.ctrlKey || e.shiftKey) return
+    e.preventDefault()
+    seek(Number(a.dataset.t))
+  }
+
   return (
     <article className="container">
       <Masthead entry={entry} />
 
-      {entry.video ? (
-        <div className={styles.player}>
-          <video
-            controls
-            playsInline
-            preload="metadata"
-            poster={entry.poster ?? entry.cover}
-            className={styles.video}
-          >
-            <source src={entry.video} />
-            Your browser doesn't support embedded video.
-          </video>
+      {sources.length ? (
+        <div className={`${styles.stage} ${chapters.length ? styles.withChapters : ''}`}>
+          <div className={styles.player}>
+            <video
+              ref={videoRef}
+              controls
+              playsInline
+              preload="metadata"
+              poster={entry.poster ?? entry.cover}
+              crossOrigin={crossOrigin}
+              className={styles.video}
+              onTimeUpdate={onTime}
+            >
+              {sources.map((s) => (
+                <source key={s.src} src={s.src} type={s.type} media={s.media} />
+              ))}
+              {entry.tracks?.map((tr) => (
+                <track
+                  key={tr.src}
+                  src={tr.src}
+                  kind={tr.kind ?? 'subtitles'}
+                  srcLang={tr.lang}
+                  label={tr.label ?? languageName(tr.lang)}
+                  default={tr.default}
+                />
+              ))}
+              {entry.sprite && <track ref={spriteRef} kind="metadata" src={entry.sprite} />}
+              Your browser doesn't support embedded video.
+            </video>
+            {/* a pointer aid only — the player's own controls do the keyboard seeking */}
+            {thumbs.length > 0 && (
+              <div
+                className={styles.scrub}
+                aria-hidden="true"
+                onPointerMove={(e) => setHover(scrubAt(e))}
+                onPointerLeave={() => setHover(null)}
+                onClick={(e) => seek(scrubAt(e).t)}
+              >
+                <span className={styles.played} style={{ width: `${progress * 100}%` }} />
+                {hover && (
+                  <span className={styles.scrubAt} style={{ left: `clamp(90px, ${hover.at * 100}%, 100% - 90px)` }}>
+                    {thumb && (
+                      <span
+                        className={styles.frame}
+                        style={{
+                          width: thumb.w,
+                          height: thumb.h,
+                          background: `url("${thumb.url}") -${thumb.x}px -${thumb.y}px no-repeat`,
+                        }}
+                      />
+                    )}
+                    {formatTime(hover.t)}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+
+          {chapters.length > 0 && (
+            <nav className={styles.chapters} aria-label="Chapters">
+              <p className={styles.chaptersHead}>Chapters</p>
+              <ol ref={listRef}>
+                {chapters.map((c, i) => (
+                  <li key={i}>
+                    <button type="button" aria-current={i === now ? 'true' : undefined} onClick={() => seek(c.t)}>
+                      <span className={styles.at}>{formatTime(c.t)}</span>
+                      {c.title}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </nav>
+          )}
         </div>
       ) : (
         <p className={styles.missing}>Video coming soon.</p>
@@ -26,7 +201,7 @@ export default function Video({ entry }: { entry: Entry }) {
 
       {entry.html && (
         <div className={styles.meta}>
-          <div className="prose" dangerouslySetInnerHTML={{ __html: entry.html }} />
+          <div className="prose" onClick={onProseClick} dangerouslySetInnerHTML={{ __html: html }} />
         </div>
       )}
     </article>
@@ -1 +1,4 @@
 /// <reference types="vite/client" />
+
+/** The day the bundle was built, yyyy-mm-dd (UTC) — see vite.config.ts. */
+declare const __BUILD_DATE__: string
@@ -2,6 +2,7 @@ import { defineConfig, type Plugin } from 'vite'
 import react from '@vitejs/plugin-react'
 import { readFileSync } from 'node:fs'
 import { resolve, extname } from 'node:path'
+import { BUILD_DATE } from './scripts/build-date.mjs'
 
 // GitHub Pages can't set HTTP headers, so we declare a Content-Security-Policy
 // via <meta> — but only in the production build, since Vite's dev server needs
@@ -104,10 +105,19 @@ function cmsDevPlugin(): Plugin {
   }
 }
 
-// harrystanyer.com is served from the domain root on GitHub Pages.
-export default defineConfig({
+// harrystanyer.com is served from the domain root on GitHub Pages. The SSR build
+// (`npm run build:ssr`) only feeds the prerenderer, so it skips copying public/.
+// __BUILD_DATE__ (see scripts/build-date.mjs) is what content.ts checks `publishAt`
+// against. A preview build reads the search index and related entries that
+// `search-index --preview` writes, drafts and scheduled entries included,
+// instead of the committed ones.
+export default defineConfig(({ isSsrBuild, mode }) => ({
   base: '/',
+  define: { __BUILD_DATE__: JSON.stringify(BUILD_DATE) },
+  resolve: {
+    alias: mode === 'preview' ? [{ find: /^.*\/(search-index|related)\.json$/, replacement: resolve('.cache/$1.preview.json') }] : [],
+  },
   plugins: [react(), cspPlugin(), embeddedAppsDevPlugin(), cmsDevPlugin()],
   server: { port: Number(process.env.PORT) || 5173 },
-  build: { outDir: 'dist', assetsInlineLimit: 2048 },
-})
+  build: { outDir: 'dist', assetsInlineLimit: 2048, copyPublicDir: !isSsrBuild },
+}))